@@ -10,12 +10,714 @@
 
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
-import { CallToolRequestSchema, ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
-import { exec, execSync } from 'child_process';
+import {
+  CallToolRequestSchema,
+  ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema
+} from '@modelcontextprotocol/sdk/types.js';
+import { execFile, execSync } from 'child_process';
 import { promisify } from 'util';
-import { existsSync } from 'fs';
+import { existsSync, readFileSync, realpathSync } from 'fs';
+import { join, delimiter } from 'path';
+import { randomUUID } from 'crypto';
+import { fileURLToPath } from 'url';
+import { AsyncLocalStorage } from 'async_hooks';
+import { parse as parseYaml } from 'yaml';
 
-const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
+
+// Seconds each class of backend read stays cached; JIRA_CACHE_TTL overrides per class
+const DEFAULT_CACHE_TTLS = {
+  issue: 60,
+  search: 120,
+  transitions: 30,
+  sprints: 300,
+  boards: 3600,
+  fields: 3600
+};
+
+// Workflow categories used by every analysis, with the matching JIRA statusCategory key and JQL name.
+// JIRA_STATUS_CATEGORIES assigns status names to a category explicitly, overriding statusCategory.
+const STATUS_CATEGORIES = {
+  done: { key: 'done', jql: 'Done' },
+  in_progress: { key: 'indeterminate', jql: 'In Progress' },
+  todo: { key: 'new', jql: 'To Do' }
+};
+
+// In-progress statuses whose names mark work as queued rather than actively worked on, for flow efficiency
+const WAITING_STATUS_PATTERN = /\b(wait(ing)?|awaiting|blocked|on hold|pending|queued?|ready for|parked|paused)\b/i;
+
+// JIRA system fields (lower case) that mark a search_issues query as JQL in auto mode when compared with an operator.
+// Custom fields count too when written as cf[12345] or as a quoted name.
+const JQL_FIELDS = new Set([
+  'affectedversion', 'assignee', 'category', 'comment', 'component', 'created', 'createddate', 'creator', 'description',
+  'due', 'duedate', 'environment', 'epic', 'filter', 'fixversion', 'id', 'issue', 'issuekey', 'issuetype', 'key',
+  'labels', 'lastviewed', 'level', 'originalestimate', 'parent', 'priority', 'project', 'remainingestimate',
+  'reporter', 'resolution', 'resolutiondate', 'resolved', 'sprint', 'status', 'statuscategory', 'summary', 'text',
+  'timespent', 'type', 'updated', 'updateddate', 'voter', 'votes', 'watcher', 'watchers', 'workratio'
+]);
+
+// Profile settings and the environment variables that supply them when no JIRA_CONFIG_FILE is used
+const PROFILE_ENV_VARS = {
+  default_project: 'JIRA_DEFAULT_PROJECT',
+  boards: 'JIRA_BOARDS',
+  backend: 'JIRA_BACKEND',
+  jcli_use_global: 'JCLI_USE_GLOBAL',
+  jcli_venv_path: 'JCLI_VENV_PATH',
+  jcli_working_dir: 'JCLI_WORKING_DIR',
+  base_url: 'JIRA_BASE_URL',
+  username: 'JIRA_USERNAME',
+  api_token: 'JIRA_API_TOKEN',
+  auth: 'JIRA_AUTH',
+  status_categories: 'JIRA_STATUS_CATEGORIES',
+  story_points_field: 'JIRA_STORY_POINTS_FIELD'
+};
+
+// Field names looked up in the instance's field metadata when JIRA_STORY_POINTS_FIELD isn't set, in order:
+// "Story Points" on Server/Data Center and classic projects, "Story point estimate" on Cloud
+const STORY_POINT_FIELD_NAMES = ['Story Points', 'Story point estimate'];
+
+// Most recently updated issues scanned for ones taken out of a sprint, fetched in pages of 500
+const SPRINT_REMOVAL_SCAN_LIMIT = 2000;
+
+/**
+ * TTL cache for backend reads, bounded to maxEntries with least-recently-used eviction.
+ */
+class ResponseCache {
+  constructor(ttls, maxEntries = 200) {
+    this.ttls = ttls;
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+    this.inflight = new Map();
+    this.generation = 0;
+    this.stats = { hits: 0, misses: 0, coalesced: 0, bypassed: 0, evictions: 0, invalidations: 0, by_class: {} };
+  }
+
+  record(commandClass, counter) {
+    this.stats[counter]++;
+    const classStats = this.stats.by_class[commandClass] ||
+      (this.stats.by_class[commandClass] = { hits: 0, misses: 0, coalesced: 0, bypassed: 0 });
+    classStats[counter]++;
+  }
+
+  async get(commandClass, key, loader, refresh = false) {
+    const cacheKey = `${commandClass}:${key}`;
+    const ttl = this.ttls[commandClass] || 0;
+    
+    if (refresh) {
+      this.record(commandClass, 'bypassed');
+    } else {
+      const entry = this.entries.get(cacheKey);
+      if (entry && entry.expires_at > Date.now()) {
+        // Move to the back of the Map so eviction drops the least recently used entry first
+        this.entries.delete(cacheKey);
+        this.entries.set(cacheKey, entry);
+        this.record(commandClass, 'hits');
+        return entry.value;
+      }
+      
+      // Identical request already running - share its result instead of issuing it again
+      const pending = this.inflight.get(cacheKey);
+      if (pending) {
+        this.record(commandClass, 'coalesced');
+        return pending;
+      }
+    }
+    this.record(commandClass, 'misses');
+    
+    const generation = this.generation;
+    const promise = loader().then(value => {
+      // A write that landed while this read was running may have made it stale
+      if (ttl > 0 && generation === this.generation) {
+        this.entries.delete(cacheKey);
+        this.entries.set(cacheKey, { value: value, expires_at: Date.now() + ttl * 1000 });
+        if (this.entries.size > this.maxEntries) {
+          this.entries.delete(this.entries.keys().next().value);
+          this.stats.evictions++;
+        }
+      }
+      return value;
+    }).finally(() => {
+      if (this.inflight.get(cacheKey) === promise) {
+        this.inflight.delete(cacheKey);
+      }
+    });
+    
+    this.inflight.set(cacheKey, promise);
+    return promise;
+  }
+
+  clear() {
+    this.entries.clear();
+    this.generation++;
+    this.stats.invalidations++;
+  }
+
+  snapshot() {
+    const lookups = this.stats.hits + this.stats.misses + this.stats.coalesced;
+    return {
+      ...this.stats,
+      hit_rate: lookups > 0 ? Math.round(((this.stats.hits + this.stats.coalesced) / lookups) * 100) / 100 : 0,
+      entries: this.entries.size,
+      in_flight: this.inflight.size,
+      ttl_seconds: this.ttls
+    };
+  }
+}
+
+// Backend methods that only read, mapped to the cache class they are stored under.
+// Every other backend method is a write and invalidates the cache.
+const BACKEND_READ_CLASSES = {
+  getIssue: 'issue',
+  searchIssues: 'search',
+  getTransitions: 'transitions',
+  getComments: 'issue',
+  getBoardSprints: 'sprints',
+  listBoards: 'boards',
+  getBoard: 'boards',
+  getFields: 'fields'
+};
+
+const BACKEND_WRITE_METHODS = [
+  'createIssue',
+  'transitionIssue',
+  'addComment',
+  'editComment',
+  'assignIssue',
+  'linkIssues',
+  'updateIssue'
+];
+
+/**
+ * Backend driving the jiracli (jcli) command line tool.
+ * Issues are returned in jcli's raw JSON form, which mirrors the JIRA REST issue shape.
+ */
+class JcliBackend {
+  constructor({ useGlobal, venvPath, workingDir }) {
+    this.name = 'jcli';
+    this.useGlobal = useGlobal;
+    this.venvPath = venvPath;
+    this.workingDir = workingDir;
+  }
+
+  async execute(args) {
+    try {
+      // Arguments are handed to jcli as argv - no shell ever parses user-supplied values
+      let jcliPath = 'jcli';
+      let env = process.env;
+      
+      if (!this.useGlobal) {
+        // Equivalent of sourcing the venv's activate script
+        const venvBin = join(this.venvPath, 'bin');
+        jcliPath = join(venvBin, 'jcli');
+        env = { ...process.env, VIRTUAL_ENV: this.venvPath, PATH: `${venvBin}${delimiter}${process.env.PATH || ''}` };
+      }
+      
+      const { stdout, stderr } = await execFileAsync(jcliPath, args, {
+        cwd: this.workingDir || undefined,
+        env: env,
+        maxBuffer: 10 * 1024 * 1024 // 10MB buffer for large outputs
+      });
+      
+      if (stderr && !stderr.includes('WARNING')) {
+        console.error('JCLI stderr:', stderr);
+      }
+      
+      return stdout;
+    } catch (error) {
+      throw new Error(`JCLI execution failed: ${error.message}`);
+    }
+  }
+
+  async searchIssues(jql, { maxResults = 1000, startAt = 0, expand = [] } = {}) {
+    const args = ['issues', 'list', '--jql', jql, '--max-issues', String(maxResults), '--output', 'json', '--summary-len', '0'];
+    if (startAt > 0) {
+      args.push('--start-at', String(startAt));
+    }
+    if (expand.length > 0) {
+      args.push('--expand', expand.join(','));
+    }
+    const output = await this.execute(args);
+    return JSON.parse(output);
+  }
+
+  async getIssue(issueKey) {
+    const output = await this.execute(['issues', 'show', issueKey, '--raw', '--json']);
+    
+    const data = JSON.parse(output);
+    return data[0]; // Raw output is an array
+  }
+
+  async createIssue(fields) {
+    const args = ['issues', 'create', `--project=${fields.project}`, `--issue-type=${fields.issue_type}`, `--summary=${fields.summary}`];
+    
+    if (fields.description) {
+      args.push(`--description=${fields.description}`);
+    }
+    (fields.components || []).forEach(component => {
+      args.push(`--component=${component}`);
+    });
+    (fields.labels || []).forEach(label => {
+      args.push(`--label=${label}`);
+    });
+    if (fields.priority) {
+      args.push(`--priority=${fields.priority}`);
+    }
+    if (fields.assignee) {
+      args.push(`--assignee=${fields.assignee}`);
+    }
+    if (fields.fix_version) {
+      args.push(`--fix-version=${fields.fix_version}`);
+    }
+    
+    const output = await this.execute(args);
+    
+    // jcli reports the created issue key in its output (e.g. "Created issue FDP-1510")
+    const keyMatch = output.match(/\b[A-Z][A-Z0-9_]*-\d+\b/);
+    if (!keyMatch) {
+      throw new Error(`Could not determine the new issue key from jcli output: ${output.trim()}`);
+    }
+    return keyMatch[0];
+  }
+
+  async getTransitions(issueKey) {
+    const output = await this.execute(['issues', 'transitions', issueKey, '--json']);
+    
+    return JSON.parse(output).map(transition => ({
+      id: transition.id,
+      name: transition.name,
+      to_status: transition.to?.name || transition.to_status || null
+    }));
+  }
+
+  async transitionIssue(issueKey, transition, { resolution, comment } = {}) {
+    const args = ['issues', 'transition'];
+    if (resolution) {
+      args.push(`--resolution=${resolution}`);
+    }
+    if (comment) {
+      args.push(`--comment=${comment}`);
+    }
+    await this.execute([...args, '--', issueKey, transition.name]);
+  }
+
+  visibilityArgs(visibility) {
+    return visibility ? [`--visibility-${visibility.type}=${visibility.value}`] : [];
+  }
+
+  async getComments(issueKey, { startAt = 0, maxResults = 50 } = {}) {
+    // Same shape as the REST comment endpoint: { startAt, maxResults, total, comments }
+    const output = await this.execute(['issues', 'comments', '--start-at', String(startAt), '--max-results', String(maxResults), '--json', '--', issueKey]);
+    return JSON.parse(output);
+  }
+
+  async addComment(issueKey, body, visibility) {
+    await this.execute(['issues', 'comment', `--body=${body}`, ...this.visibilityArgs(visibility), '--', issueKey]);
+  }
+
+  async editComment(issueKey, commentId, body, visibility) {
+    await this.execute(['issues', 'comment-edit', `--body=${body}`, ...this.visibilityArgs(visibility), '--', issueKey, String(commentId)]);
+  }
+
+  async assignIssue(issueKey, user) {
+    await this.execute(['issues', 'assign', '--', issueKey, user]);
+  }
+
+  async linkIssues(outwardKey, inwardKey, linkType) {
+    // jcli reads links as "<outward issue> <outward description> <inward issue>"
+    await this.execute(['issues', 'link', `--type=${linkType}`, '--', outwardKey, inwardKey]);
+  }
+
+  async updateIssue(issueKey, changes) {
+    const flags = {
+      add_labels: '--add-label',
+      remove_labels: '--remove-label',
+      add_fix_versions: '--add-fix-version',
+      remove_fix_versions: '--remove-fix-version',
+      add_components: '--add-component',
+      remove_components: '--remove-component'
+    };
+    
+    const args = [];
+    Object.entries(flags).forEach(([field, flag]) => {
+      (changes[field] || []).forEach(value => {
+        args.push(`${flag}=${value}`);
+      });
+    });
+    if (changes.priority) {
+      args.push(`--priority=${changes.priority}`);
+    }
+    if (changes.assignee) {
+      args.push(`--assignee=${changes.assignee}`);
+    }
+    await this.execute(['issues', 'update', ...args, '--', issueKey]);
+  }
+
+  async getFields() {
+    // jcli has no field metadata command - jcli profiles set story_points_field explicitly
+    return null;
+  }
+
+  async listBoards(limit = 25) {
+    const output = await this.execute(['boards', 'list', '--limit', String(limit)]);
+    
+    // Parse the tabulated output - jcli doesn't provide JSON for boards list yet
+    const lines = output.trim().split('\n');
+    const boards = [];
+    
+    // Skip header and separator lines
+    for (let i = 2; i < lines.length; i++) {
+      const line = lines[i].trim();
+      if (line && !line.startsWith('+') && !line.startsWith('|')) {
+        const parts = line.split('|').map(p => p.trim()).filter(p => p);
+        if (parts.length >= 2) {
+          boards.push({
+            name: parts[0],
+            type: parts[1]
+          });
+        }
+      }
+    }
+    
+    return boards;
+  }
+
+  async getBoard(boardName) {
+    await this.execute(['boards', 'show', '--', boardName]);
+    return { name: boardName };
+  }
+
+  async getBoardSprints(boardName, { sprintName, showAll = false, includeIssues = true, sprintIds } = {}) {
+    if (sprintIds) {
+      // jcli only filters by name, so look the sprints up by id and report each one on its own
+      const wanted = (await this.getBoardSprints(boardName, { sprintName, showAll, includeIssues: false }))
+        .filter(sprint => sprintIds.map(String).includes(String(sprint.id)));
+      if (!includeIssues) {
+        return wanted;
+      }
+      const sprints = [];
+      for (const sprint of wanted) {
+        const named = await this.getBoardSprints(boardName, { sprintName: sprint.name, showAll });
+        sprints.push(named.find(s => s.id === sprint.id) || sprint);
+      }
+      return sprints;
+    }
+    
+    const args = ['boards', 'sprints', '--json'];
+    
+    if (sprintName) {
+      args.push(`--name=${sprintName}`);
+    }
+    if (showAll) {
+      args.push('--show-all');
+    }
+    if (!includeIssues) {
+      args.push('--no-issues');
+    }
+    
+    const output = await this.execute([...args, '--', boardName]);
+    return JSON.parse(output);
+  }
+}
+
+/**
+ * Backend talking to the JIRA REST API (v2) and Agile API directly.
+ * Supports personal access tokens (Bearer) and basic auth with username/email + API token.
+ */
+class RestBackend {
+  constructor({ baseUrl, username, apiToken, auth }) {
+    this.name = 'rest';
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.authHeader = auth === 'basic'
+      ? `Basic ${Buffer.from(`${username}:${apiToken}`).toString('base64')}`
+      : `Bearer ${apiToken}`;
+  }
+
+  async request(method, path, { query, body } = {}) {
+    const url = new URL(`${this.baseUrl}${path}`);
+    Object.entries(query || {}).forEach(([name, value]) => {
+      if (value !== undefined && value !== null) url.searchParams.set(name, String(value));
+    });
+    
+    let response;
+    try {
+      response = await fetch(url, {
+        method: method,
+        headers: {
+          'Accept': 'application/json',
+          'Content-Type': 'application/json',
+          'Authorization': this.authHeader
+        },
+        body: body !== undefined ? JSON.stringify(body) : undefined
+      });
+    } catch (error) {
+      throw new Error(`JIRA REST ${method} ${path} failed: ${error.message}`);
+    }
+    
+    const text = await response.text();
+    if (!response.ok) {
+      let detail = text;
+      try {
+        const errorBody = JSON.parse(text);
+        detail = [...(errorBody.errorMessages || []), ...Object.values(errorBody.errors || {})].join('; ') || text;
+      } catch (error) {
+        // Not JSON - report the raw body
+      }
+      throw new Error(`JIRA REST ${method} ${path} failed: ${response.status} ${response.statusText}${detail ? ` - ${detail}` : ''}`);
+    }
+    
+    return text ? JSON.parse(text) : null;
+  }
+
+  issuePath(issueKey, suffix = '') {
+    return `/rest/api/2/issue/${encodeURIComponent(issueKey)}${suffix}`;
+  }
+
+  userRef(user) {
+    // JIRA Cloud identifies users by accountId, Server/Data Center by username
+    return /^[0-9a-f]{24}$|^\d+:[0-9a-f-]+$/i.test(user) ? { accountId: user } : { name: user };
+  }
+
+  async searchIssues(jql, { maxResults = 1000, startAt = 0, expand = [] } = {}) {
+    const issues = [];
+    let total = 0;
+    let offset = startAt;
+    
+    // JIRA caps page size server-side, so keep paging until the caller's limit is met
+    while (issues.length < maxResults) {
+      const page = await this.request('GET', '/rest/api/2/search', {
+        query: { jql: jql, startAt: offset, maxResults: Math.min(100, maxResults - issues.length), expand: expand.join(',') || undefined }
+      });
+      total = page.total;
+      issues.push(...page.issues);
+      offset += page.issues.length;
+      if (page.issues.length === 0 || offset >= total) break;
+    }
+    
+    return { issues_count: total, issues: issues };
+  }
+
+  async getIssue(issueKey) {
+    return this.request('GET', this.issuePath(issueKey));
+  }
+
+  async createIssue(fields) {
+    const issueFields = {
+      project: { key: fields.project },
+      issuetype: { name: fields.issue_type },
+      summary: fields.summary
+    };
+    
+    if (fields.description) issueFields.description = fields.description;
+    if (fields.components?.length > 0) issueFields.components = fields.components.map(name => ({ name }));
+    if (fields.labels?.length > 0) issueFields.labels = fields.labels;
+    if (fields.priority) issueFields.priority = { name: fields.priority };
+    if (fields.assignee) issueFields.assignee = this.userRef(fields.assignee);
+    if (fields.fix_version) issueFields.fixVersions = [{ name: fields.fix_version }];
+    
+    const created = await this.request('POST', '/rest/api/2/issue', { body: { fields: issueFields } });
+    return created.key;
+  }
+
+  async getTransitions(issueKey) {
+    const data = await this.request('GET', this.issuePath(issueKey, '/transitions'));
+    
+    return data.transitions.map(transition => ({
+      id: transition.id,
+      name: transition.name,
+      to_status: transition.to?.name || null
+    }));
+  }
+
+  async transitionIssue(issueKey, transition, { resolution, comment } = {}) {
+    const body = { transition: { id: transition.id } };
+    if (resolution) {
+      body.fields = { resolution: { name: resolution } };
+    }
+    if (comment) {
+      body.update = { comment: [{ add: { body: comment } }] };
+    }
+    await this.request('POST', this.issuePath(issueKey, '/transitions'), { body });
+  }
+
+  async getComments(issueKey, { startAt = 0, maxResults = 50 } = {}) {
+    return this.request('GET', this.issuePath(issueKey, '/comment'), { query: { startAt: startAt, maxResults: maxResults } });
+  }
+
+  async addComment(issueKey, body, visibility) {
+    await this.request('POST', this.issuePath(issueKey, '/comment'), {
+      body: visibility ? { body, visibility } : { body }
+    });
+  }
+
+  async editComment(issueKey, commentId, body, visibility) {
+    await this.request('PUT', this.issuePath(issueKey, `/comment/${encodeURIComponent(commentId)}`), {
+      body: visibility ? { body, visibility } : { body }
+    });
+  }
+
+  async assignIssue(issueKey, user) {
+    await this.request('PUT', this.issuePath(issueKey, '/assignee'), { body: this.userRef(user) });
+  }
+
+  async linkIssues(outwardKey, inwardKey, linkType) {
+    // The REST API names sides from the link type's point of view: "inwardIssue" is the
+    // source that reads with the outward description ("<inwardIssue> blocks <outwardIssue>")
+    await this.request('POST', '/rest/api/2/issueLink', {
+      body: {
+        type: { name: linkType },
+        inwardIssue: { key: outwardKey },
+        outwardIssue: { key: inwardKey }
+      }
+    });
+  }
+
+  async updateIssue(issueKey, changes) {
+    const update = {};
+    const operations = (field, add = [], remove = [], toValue = value => value) => {
+      const ops = [
+        ...add.map(value => ({ add: toValue(value) })),
+        ...remove.map(value => ({ remove: toValue(value) }))
+      ];
+      if (ops.length > 0) update[field] = ops;
+    };
+    
+    operations('labels', changes.add_labels, changes.remove_labels);
+    operations('fixVersions', changes.add_fix_versions, changes.remove_fix_versions, name => ({ name }));
+    operations('components', changes.add_components, changes.remove_components, name => ({ name }));
+    
+    const fields = {};
+    if (changes.priority) fields.priority = { name: changes.priority };
+    if (changes.assignee) fields.assignee = this.userRef(changes.assignee);
+    
+    await this.request('PUT', this.issuePath(issueKey), { body: { update, fields } });
+  }
+
+  async getFields() {
+    return this.request('GET', '/rest/api/2/field');
+  }
+
+  async listBoards(limit = 25) {
+    // JIRA may return fewer boards per page than asked for, so keep paging up to the limit
+    const boards = [];
+    while (boards.length < limit) {
+      const page = await this.request('GET', '/rest/agile/1.0/board', { query: { startAt: boards.length, maxResults: limit - boards.length } });
+      boards.push(...page.values);
+      if (page.isLast !== false || page.values.length === 0) break;
+    }
+    return boards.slice(0, limit).map(board => ({ name: board.name, type: board.type, id: board.id }));
+  }
+
+  async getBoard(boardName) {
+    // The name filter matches substrings, so page through the candidates for the exact name like jcli does
+    for (let startAt = 0; ; ) {
+      const page = await this.request('GET', '/rest/agile/1.0/board', { query: { name: boardName, startAt: startAt } });
+      const board = page.values.find(b => b.name.toLowerCase() === boardName.toLowerCase());
+      if (board) {
+        return board;
+      }
+      startAt += page.values.length;
+      if (page.isLast !== false || page.values.length === 0) break;
+    }
+    throw new Error(`Board not found: ${boardName}`);
+  }
+
+  async getBoardSprints(boardName, { sprintName, showAll = false, includeIssues = true, sprintIds } = {}) {
+    const board = await this.getBoard(boardName);
+    
+    const sprints = [];
+    for (let startAt = 0; ; ) {
+      const page = await this.request('GET', `/rest/agile/1.0/board/${board.id}/sprint`, {
+        query: { startAt: startAt, state: showAll ? undefined : 'active,future' }
+      });
+      sprints.push(...page.values);
+      startAt += page.values.length;
+      if (page.isLast !== false || page.values.length === 0) break;
+    }
+    
+    const matching = sprints
+      .filter(s => !sprintName || s.name.toLowerCase().includes(sprintName.toLowerCase()))
+      .filter(s => !sprintIds || sprintIds.map(String).includes(String(s.id)));
+    
+    // Board columns map statuses to column names, the same grouping jcli reports
+    let columns = [];
+    if (includeIssues) {
+      const configuration = await this.request('GET', `/rest/agile/1.0/board/${board.id}/configuration`);
+      columns = configuration.columnConfig?.columns || [];
+    }
+    
+    // One sprint at a time, so a board with a long history doesn't fire off a burst of requests
+    const results = [];
+    for (const sprint of matching) {
+      const result = {
+        id: sprint.id,
+        name: sprint.name,
+        state: sprint.state,
+        goal: sprint.goal || null,
+        start_date_str: sprint.startDate?.substring(0, 10) || null,
+        end_date_str: sprint.endDate?.substring(0, 10) || null,
+        complete_date_str: sprint.completeDate?.substring(0, 10) || null
+      };
+      
+      if (includeIssues) {
+        const issues = [];
+        for (let startAt = 0; ; ) {
+          const page = await this.request('GET', `/rest/agile/1.0/board/${board.id}/sprint/${sprint.id}/issue`, {
+            query: { startAt: startAt, maxResults: 100, fields: 'summary,status,assignee' }
+          });
+          issues.push(...page.issues);
+          startAt += page.issues.length;
+          if (page.issues.length === 0 || startAt >= page.total) break;
+        }
+        
+        result.columns = Object.fromEntries(columns.map(column => [column.name, []]));
+        issues.forEach(issue => {
+          const column = columns.find(c => c.statuses?.some(s => String(s.id) === String(issue.fields.status?.id)));
+          const columnName = column?.name || issue.fields.status?.name || 'Unknown';
+          (result.columns[columnName] = result.columns[columnName] || []).push({
+            key: issue.key,
+            summary: issue.fields.summary,
+            status: issue.fields.status?.name,
+            status_category: issue.fields.status?.statusCategory?.key || null,
+            assignee: issue.fields.assignee?.displayName || null
+          });
+        });
+      }
+      
+      results.push(result);
+    }
+    return results;
+  }
+}
+
+/**
+ * Wraps a backend with the TTL response cache: reads are cached and coalesced,
+ * writes pass straight through and invalidate everything cached so far.
+ */
+class CachedBackend {
+  constructor(backend, cache, isRefresh, namespace) {
+    this.name = backend.name;
+    this.backend = backend;
+    
+    Object.entries(BACKEND_READ_CLASSES).forEach(([method, commandClass]) => {
+      this[method] = (...args) => cache.get(commandClass, JSON.stringify([namespace, method, ...args]), () => backend[method](...args), isRefresh());
+    });
+    
+    BACKEND_WRITE_METHODS.forEach(method => {
+      this[method] = async (...args) => {
+        try {
+          return await backend[method](...args);
+        } finally {
+          cache.clear();
+        }
+      };
+    });
+  }
+}
 
 class JiraServer {
   constructor() {
@@ -27,126 +729,286 @@ class JiraServer {
       {
         capabilities: {
           tools: {},
+          resources: {},
+          prompts: {},
         },
       }
     );
 
-    // Required configuration - no fallbacks
-    this.venvPath = process.env.JCLI_VENV_PATH;
-    this.workingDir = process.env.JCLI_WORKING_DIR;
-    this.defaultProject = process.env.JIRA_DEFAULT_PROJECT;
-    this.useGlobalJcli = process.env.JCLI_USE_GLOBAL === 'true';
+    // Named JIRA instances, each with its own backend, default project, boards and status mapping.
+    // Without JIRA_CONFIG_FILE a single "default" profile is read from the environment.
+    this.profiles = new Map();
+    this.defaultProfileName = null;
     
-    // Board configuration - parse comma-separated list
-    this.configuredBoards = process.env.JIRA_BOARDS ? 
-      process.env.JIRA_BOARDS.split(',').map(board => board.trim()).filter(board => board) : [];
+    // Dry-run previews awaiting confirmation, keyed by confirmation token
+    this.pendingBulkUpdates = new Map();
+    
+    // Paging state behind next_cursor tokens, kept here so a cursor can't rewrite the query or page size
+    this.pageCursors = new Map();
+    
+    // Per-call options (e.g. refresh, profile) for the tool call currently executing
+    this.requestContext = new AsyncLocalStorage();
     
     // Validate required configuration
     this.validateConfiguration();
     
+    this.cache = new ResponseCache(this.cacheTtls);
+    this.profiles.forEach(profile => {
+      profile.backend = new CachedBackend(this.createBackend(profile), this.cache, () => this.requestContext.getStore()?.refresh === true, profile.name);
+    });
+    
     this.setupHandlers();
   }
 
+  // Profile selected by the current tool call's "profile" argument, or the default profile
+  get profile() {
+    return this.requestContext.getStore()?.profile || this.profiles.get(this.defaultProfileName);
+  }
+
+  get defaultProject() {
+    return this.profile.defaultProject;
+  }
+
+  get configuredBoards() {
+    return this.profile.configuredBoards;
+  }
+
+  get statusCategoryNames() {
+    return this.profile.statusCategoryNames;
+  }
+
+  // Configured story points field, or the one detected from the profile's field metadata
+  get storyPointsField() {
+    return this.profile.storyPointsField || this.profile.detectedStoryPointsField || null;
+  }
+
+  get backend() {
+    return this.profile.backend;
+  }
+
   validateConfiguration() {
-    const requiredEnvVars = ['JIRA_DEFAULT_PROJECT'];
+    let profileSettings;
+    try {
+      profileSettings = this.loadProfileSettings();
+    } catch (error) {
+      console.error(`❌ Could not load JIRA_CONFIG_FILE: ${error.message}`);
+      process.exit(1);
+    }
+    
+    // Validate every profile before giving up, so all problems are reported at once
+    const failures = [];
+    Object.entries(profileSettings).forEach(([name, settings]) => {
+      const { profile, errors } = this.buildProfile(name, settings || {});
+      if (errors.length > 0) {
+        failures.push({ name, errors });
+      } else {
+        this.profiles.set(name, profile);
+      }
+    });
+    
+    if (failures.length > 0) {
+      console.error('❌ Invalid configuration:');
+      failures.forEach(({ name, errors }) => {
+        console.error(`   Profile "${name}":`);
+        errors.forEach(error => {
+          console.error(`     - ${error}`);
+        });
+      });
+      console.error('\n📖 Please fix these settings before starting the server.');
+      console.error('   See README.md for setup instructions.');
+      process.exit(1);
+    }
+    
+    // Optional cache TTL overrides, e.g. JIRA_CACHE_TTL='{"search": 300, "issue": 0}'
+    this.cacheTtls = { ...DEFAULT_CACHE_TTLS };
+    if (process.env.JIRA_CACHE_TTL) {
+      try {
+        Object.assign(this.cacheTtls, JSON.parse(process.env.JIRA_CACHE_TTL));
+      } catch (error) {
+        console.error(`Invalid JIRA_CACHE_TTL (expected JSON object of seconds per command class): ${error.message}`);
+        process.exit(1);
+      }
+    }
+    
+    console.error('Configuration validated successfully');
+    console.error(`Config Source: ${process.env.JIRA_CONFIG_FILE || 'Environment variables'}`);
+    this.profiles.forEach(profile => {
+      console.error(`Profile: ${profile.name}${profile.name === this.defaultProfileName ? ' (default)' : ''}`);
+      console.error(`  Default Project: ${profile.defaultProject}`);
+      console.error(`  Backend: ${profile.backendType}`);
+      if (profile.backendType === 'rest') {
+        console.error(`  JIRA URL: ${profile.baseUrl} (${profile.authType} auth)`);
+      } else {
+        console.error(`  Installation Type: ${profile.useGlobalJcli ? 'Global' : 'Virtual Environment'}`);
+        console.error(`  JCLI Directory: ${profile.workingDir || 'Current directory'}`);
+      }
+      console.error(`  Configured Boards: ${profile.configuredBoards.length > 0 ? profile.configuredBoards.join(', ') : 'None - will list all available boards'}`);
+      console.error(`  Story Points Field: ${profile.storyPointsField || (profile.backendType === 'rest' ? 'Detect from field metadata' : 'None - set story_points_field to report points')}`);
+      if (profile.backendType === 'jcli' && !profile.useGlobalJcli) {
+        console.error(`  JCLI Venv: ${profile.venvPath}`);
+      }
+    });
+  }
+
+  loadProfileSettings() {
+    const configFile = process.env.JIRA_CONFIG_FILE;
+    
+    if (!configFile) {
+      this.defaultProfileName = 'default';
+      return {
+        default: Object.fromEntries(Object.entries(PROFILE_ENV_VARS).map(([setting, envVar]) => [setting, process.env[envVar]]))
+      };
+    }
+    
+    if (!existsSync(configFile)) {
+      throw new Error(`file not found: ${configFile}`);
+    }
+    const text = readFileSync(configFile, 'utf8');
+    const config = /\.ya?ml$/i.test(configFile) ? parseYaml(text) : JSON.parse(text);
+    
+    if (!config?.profiles || typeof config.profiles !== 'object' || Object.keys(config.profiles).length === 0) {
+      throw new Error('expected at least one profile under "profiles"');
+    }
+    this.defaultProfileName = config.default_profile || Object.keys(config.profiles)[0];
+    if (!config.profiles[this.defaultProfileName]) {
+      throw new Error(`default_profile "${this.defaultProfileName}" is not defined under "profiles"`);
+    }
+    
+    // ${VAR} references keep secrets such as API tokens out of the file
+    const expand = value => {
+      if (typeof value === 'string') return value.replace(/\$\{(\w+)\}/g, (match, envVar) => process.env[envVar] || '');
+      if (Array.isArray(value)) return value.map(expand);
+      if (value && typeof value === 'object') return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, expand(v)]));
+      return value;
+    };
+    return expand(config.profiles);
+  }
+
+  buildProfile(name, settings) {
+    // Errors name the setting the way the user wrote it - env var or config file key
+    const label = setting => process.env.JIRA_CONFIG_FILE ? setting : PROFILE_ENV_VARS[setting];
+    const errors = [];
+    
+    const profile = {
+      name: name,
+      defaultProject: settings.default_project,
+      // Boards are a comma-separated list in the environment, a list or string in config files
+      configuredBoards: (Array.isArray(settings.boards) ? settings.boards : String(settings.boards || '').split(','))
+        .map(board => String(board).trim()).filter(board => board),
+      backendType: String(settings.backend || 'jcli').toLowerCase(),
+      useGlobalJcli: settings.jcli_use_global === true || settings.jcli_use_global === 'true',
+      venvPath: settings.jcli_venv_path,
+      workingDir: settings.jcli_working_dir,
+      baseUrl: settings.base_url,
+      username: settings.username,
+      apiToken: settings.api_token,
+      authType: String(settings.auth || (settings.username ? 'basic' : 'bearer')).toLowerCase(),
+      storyPointsField: settings.story_points_field || null,
+      statusCategoryNames: new Map()
+    };
+    
+    // Optional status mapping, e.g. {"done": ["Verified"], "in_progress": ["Code Review", "Ready for QA"]}
+    if (settings.status_categories) {
+      try {
+        const mapping = typeof settings.status_categories === 'string' ? JSON.parse(settings.status_categories) : settings.status_categories;
+        Object.entries(mapping).forEach(([category, names]) => {
+          if (!STATUS_CATEGORIES[category]) {
+            throw new Error(`unknown category "${category}" (expected ${Object.keys(STATUS_CATEGORIES).join(', ')})`);
+          }
+          if (!Array.isArray(names) || names.some(name => typeof name !== 'string')) {
+            throw new Error(`"${category}" must be a list of status names`);
+          }
+          names.forEach(name => profile.statusCategoryNames.set(name.toLowerCase(), { name, category }));
+        });
+      } catch (error) {
+        errors.push(`Invalid ${label('status_categories')}: ${error.message}`);
+      }
+    }
     
-    // Add conditional requirements based on installation type
-    if (!this.useGlobalJcli) {
+    const required = ['default_project'];
+    
+    if (!['jcli', 'rest'].includes(profile.backendType)) {
+      errors.push(`Invalid ${label('backend')}: ${profile.backendType} (expected "jcli" or "rest")`);
+      return { profile, errors };
+    }
+    
+    // Add conditional requirements based on backend and installation type
+    if (profile.backendType === 'rest') {
+      required.push('base_url', 'api_token');
+      if (profile.authType === 'basic') {
+        required.push('username');
+      }
+    } else if (!profile.useGlobalJcli) {
       // For venv installations, both are required
-      requiredEnvVars.push('JCLI_VENV_PATH', 'JCLI_WORKING_DIR');
+      required.push('jcli_venv_path', 'jcli_working_dir');
     } else {
-      // For global installations, JCLI_WORKING_DIR is required
-      requiredEnvVars.push('JCLI_WORKING_DIR');
+      // For global installations, the working directory is required
+      required.push('jcli_working_dir');
     }
-
-    const missing = requiredEnvVars.filter(envVar => !process.env[envVar]);
     
+    const missing = required.filter(setting => !settings[setting]);
     if (missing.length > 0) {
-      console.error('❌ Missing required environment variables:');
-      missing.forEach(envVar => {
-        console.error(`   - ${envVar}`);
+      missing.forEach(setting => {
+        errors.push(`Missing required ${process.env.JIRA_CONFIG_FILE ? 'setting' : 'environment variable'}: ${label(setting)}`);
       });
-      console.error('\n📖 Please configure these variables before starting the server.');
-      console.error('   See README.md for setup instructions.');
-      process.exit(1);
+      return { profile, errors };
     }
-
+    
     // Validate installation type and paths
-    if (this.useGlobalJcli) {
-      console.error('Using globally installed jcli');
-      
+    if (profile.backendType === 'rest') {
+      if (!['basic', 'bearer'].includes(profile.authType)) {
+        errors.push(`Invalid ${label('auth')}: ${profile.authType} (expected "basic" or "bearer")`);
+      }
+      try {
+        new URL(profile.baseUrl);
+      } catch (error) {
+        errors.push(`Invalid ${label('base_url')}: ${profile.baseUrl} - set it to your JIRA site, e.g. https://example.atlassian.net`);
+      }
+    } else if (profile.useGlobalJcli) {
       // Check if jcli is available globally
       try {
         execSync('which jcli', { stdio: 'pipe' });
       } catch (error) {
-        console.error('Global jcli installation not found in PATH');
-        console.error('Please install jcli globally or use venv installation');
-        process.exit(1);
+        errors.push('Global jcli installation not found in PATH - install jcli globally or use a venv installation');
       }
-      
-      // Validate working directory if specified
-      if (this.workingDir && !existsSync(this.workingDir)) {
-        console.error(`JCLI working directory not found: ${this.workingDir}`);
-        console.error('Please verify JCLI_WORKING_DIR points to a valid directory.');
-        process.exit(1);
+      if (!existsSync(profile.workingDir)) {
+        errors.push(`JCLI working directory not found: ${profile.workingDir} - verify ${label('jcli_working_dir')} points to a valid directory`);
       }
     } else {
-      console.error('Using virtual environment jcli');
-      
       // Validate paths exist for venv installation
-      if (!existsSync(this.venvPath)) {
-        console.error(`JCLI virtual environment not found: ${this.venvPath}`);
-        console.error('Please verify JCLI_VENV_PATH points to a valid jiracli venv directory.');
-        console.error('Or set JCLI_USE_GLOBAL=true if using global installation.');
-        process.exit(1);
+      if (!existsSync(profile.venvPath)) {
+        errors.push(`JCLI virtual environment not found: ${profile.venvPath} - verify ${label('jcli_venv_path')} points to a valid jiracli venv directory, or set ${label('jcli_use_global')} to true for a global installation`);
       }
-
-      if (!existsSync(this.workingDir)) {
-        console.error(`JCLI working directory not found: ${this.workingDir}`);
-        console.error('Please verify JCLI_WORKING_DIR points to a valid jiracli directory.');
-        process.exit(1);
+      if (!existsSync(profile.workingDir)) {
+        errors.push(`JCLI working directory not found: ${profile.workingDir} - verify ${label('jcli_working_dir')} points to a valid jiracli directory`);
       }
     }
-
-    console.error('Configuration validated successfully');
-    console.error(`Default Project: ${this.defaultProject}`);
-    console.error(`Installation Type: ${this.useGlobalJcli ? 'Global' : 'Virtual Environment'}`);
-    console.error(`JCLI Directory: ${this.workingDir || 'Current directory'}`);
-    console.error(`Configured Boards: ${this.configuredBoards.length > 0 ? this.configuredBoards.join(', ') : 'None - will list all available boards'}`);
-    if (!this.useGlobalJcli) {
-      console.error(`JCLI Venv: ${this.venvPath}`);
-    }
+    
+    return { profile, errors };
   }
 
-  async executeJCLI(command) {
-    try {
-      let fullCommand;
-      
-      if (this.useGlobalJcli) {
-        // Use globally installed jcli
-        if (this.workingDir) {
-          fullCommand = `cd "${this.workingDir}" && ${command}`;
-        } else {
-          fullCommand = command;
-        }
-      } else {
-        // Use virtual environment jcli
-        fullCommand = `cd "${this.workingDir}" && source "${this.venvPath}/bin/activate" && ${command}`;
-      }
-      
-      const { stdout, stderr } = await execAsync(fullCommand, { 
-        shell: '/bin/bash',
-        maxBuffer: 10 * 1024 * 1024 // 10MB buffer for large outputs
+  createBackend(profile) {
+    if (profile.backendType === 'rest') {
+      return new RestBackend({
+        baseUrl: profile.baseUrl,
+        username: profile.username,
+        apiToken: profile.apiToken,
+        auth: profile.authType
       });
-      
-      if (stderr && !stderr.includes('WARNING')) {
-        console.error('JCLI stderr:', stderr);
-      }
-      
-      return stdout;
-    } catch (error) {
-      throw new Error(`JCLI execution failed: ${error.message}`);
     }
+    return new JcliBackend({
+      useGlobal: profile.useGlobalJcli,
+      venvPath: profile.venvPath,
+      workingDir: profile.workingDir
+    });
+  }
+
+  async listIssues(jql, maxIssues = 1000, startAt = 0) {
+    return this.backend.searchIssues(jql, { maxResults: maxIssues, startAt: startAt });
+  }
+
+  async listIssuesWithChangelog(jql, maxIssues = 1000, startAt = 0) {
+    return this.backend.searchIssues(jql, { maxResults: maxIssues, startAt: startAt, expand: ['changelog'] });
   }
 
   setupHandlers() {
@@ -155,46 +1017,300 @@ class JiraServer {
       return {
         tools: [
           {
-            name: 'get_latest_issues',
-            description: 'Get the most recent issues with full details for a project',
+            name: 'get_latest_issues',
+            description: 'Get the most recent issues with full details for a project',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                project: {
+                  type: 'string',
+                  description: 'Project key (e.g., FDP, defaults to configured default)',
+                },
+                count: {
+                  type: 'number',
+                  description: 'Number of issues per page (default: 5, max: 20)',
+                  default: 5
+                },
+                cursor: {
+                  type: 'string',
+                  description: 'next_cursor from a previous page to continue the same query (other arguments are ignored; valid for 30 minutes)',
+                }
+              }
+            }
+          },
+          {
+            name: 'get_issue_details',
+            description: 'Get complete details for a specific issue',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                issue_key: {
+                  type: 'string',
+                  description: 'Issue key (e.g., FDP-1510, PROJ-123)',
+                },
+                include_time_in_status: {
+                  type: 'boolean',
+                  description: 'Add a time-in-status breakdown and flow efficiency from the changelog (default: false)',
+                  default: false
+                }
+              },
+              required: ['issue_key']
+            }
+          },
+          {
+            name: 'create_issue',
+            description: 'Create a new issue and return its key with full details',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                project: {
+                  type: 'string',
+                  description: 'Project key (optional, defaults to configured default)',
+                },
+                issue_type: {
+                  type: 'string',
+                  description: 'Issue type (e.g., Bug, Task, Story)',
+                },
+                summary: {
+                  type: 'string',
+                  description: 'One-line summary of the issue',
+                },
+                description: {
+                  type: 'string',
+                  description: 'Detailed description (optional)',
+                },
+                components: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: 'Component names (optional)',
+                },
+                labels: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: 'Labels to apply (optional)',
+                },
+                priority: {
+                  type: 'string',
+                  description: 'Priority name (optional, e.g., High, Critical)',
+                },
+                assignee: {
+                  type: 'string',
+                  description: 'Username to assign the issue to (optional)',
+                },
+                fix_version: {
+                  type: 'string',
+                  description: 'Fix version name (optional)',
+                }
+              },
+              required: ['issue_type', 'summary']
+            }
+          },
+          {
+            name: 'get_issue_transitions',
+            description: 'List the workflow transitions currently available for an issue',
             inputSchema: {
               type: 'object',
               properties: {
-                project: {
+                issue_key: {
                   type: 'string',
-                  description: 'Project key (e.g., FDP, defaults to configured default)',
+                  description: 'Issue key (e.g., FDP-1510, PROJ-123)',
+                }
+              },
+              required: ['issue_key']
+            }
+          },
+          {
+            name: 'transition_issue',
+            description: 'Move an issue through its workflow by transition name (fuzzy matched, e.g. "start progress", "resolve")',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                issue_key: {
+                  type: 'string',
+                  description: 'Issue key (e.g., FDP-1510, PROJ-123)',
                 },
-                count: {
-                  type: 'number',
-                  description: 'Number of issues to retrieve (default: 5, max: 20)',
-                  default: 5
+                transition: {
+                  type: 'string',
+                  description: 'Transition or target status name (fuzzy matched against available transitions)',
+                },
+                resolution: {
+                  type: 'string',
+                  description: 'Resolution to set when the transition resolves the issue (optional, e.g. "Won\'t Fix")',
+                },
+                comment: {
+                  type: 'string',
+                  description: 'Comment to add with the transition (optional)',
                 }
-              }
+              },
+              required: ['issue_key', 'transition']
             }
           },
           {
-            name: 'get_issue_details',
-            description: 'Get complete details for a specific issue',
+            name: 'get_issue_comments',
+            description: 'List the full comment thread for an issue with paging',
             inputSchema: {
               type: 'object',
               properties: {
                 issue_key: {
                   type: 'string',
                   description: 'Issue key (e.g., FDP-1510, PROJ-123)',
+                },
+                start_at: {
+                  type: 'number',
+                  description: 'Index of the first comment to return (default: 0)',
+                  default: 0
+                },
+                max_results: {
+                  type: 'number',
+                  description: 'Maximum number of comments to return (default: 20)',
+                  default: 20
                 }
               },
               required: ['issue_key']
             }
           },
+          {
+            name: 'add_comment',
+            description: 'Add a comment to an issue, optionally restricted to a project role or group',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                issue_key: {
+                  type: 'string',
+                  description: 'Issue key (e.g., FDP-1510, PROJ-123)',
+                },
+                body: {
+                  type: 'string',
+                  description: 'Comment text',
+                },
+                visibility: {
+                  type: 'object',
+                  description: 'Restrict who can see the comment (optional, e.g. {"type": "role", "value": "Developers"})',
+                  properties: {
+                    type: {
+                      type: 'string',
+                      enum: ['role', 'group'],
+                      description: 'Restrict by project role or by group'
+                    },
+                    value: {
+                      type: 'string',
+                      description: 'Role or group name'
+                    }
+                  },
+                  required: ['type', 'value']
+                }
+              },
+              required: ['issue_key', 'body']
+            }
+          },
+          {
+            name: 'edit_comment',
+            description: 'Edit one of your own comments on an issue',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                issue_key: {
+                  type: 'string',
+                  description: 'Issue key (e.g., FDP-1510, PROJ-123)',
+                },
+                comment_id: {
+                  type: 'string',
+                  description: 'ID of the comment to edit (see get_issue_comments)',
+                },
+                body: {
+                  type: 'string',
+                  description: 'Replacement comment text',
+                },
+                visibility: {
+                  type: 'object',
+                  description: 'Restrict who can see the comment (optional, e.g. {"type": "role", "value": "Developers"})',
+                  properties: {
+                    type: {
+                      type: 'string',
+                      enum: ['role', 'group'],
+                      description: 'Restrict by project role or by group'
+                    },
+                    value: {
+                      type: 'string',
+                      description: 'Role or group name'
+                    }
+                  },
+                  required: ['type', 'value']
+                }
+              },
+              required: ['issue_key', 'comment_id', 'body']
+            }
+          },
           {
             name: 'search_issues',
-            description: 'Search issues using JQL or text queries across projects',
+            description: 'Search issues using JQL, keywords or structured filters across projects. The generated JQL is returned as jql_used',
             inputSchema: {
               type: 'object',
               properties: {
                 query: {
                   type: 'string',
-                  description: 'Search query (JQL or keywords)',
+                  description: 'JQL (mode "jql") or keywords (mode "text"); optional extra keywords in mode "structured"',
+                },
+                mode: {
+                  type: 'string',
+                  enum: ['auto', 'jql', 'text', 'structured'],
+                  description: 'How to interpret the query (default: auto - structured when filters are given, JQL when the query compares a known JIRA field (or cf[id], or a quoted custom field name) with an operator or orders by one, otherwise text). In JQL, "= me" on assignee/reporter means the current user',
+                  default: 'auto'
+                },
+                filters: {
+                  type: 'object',
+                  description: 'Structured filters used in mode "structured"',
+                  properties: {
+                    status: {
+                      type: ['string', 'array'],
+                      items: { type: 'string' },
+                      description: 'Status name or list of status names'
+                    },
+                    assignee: {
+                      type: 'string',
+                      description: 'Username, "me" for the current user or "unassigned"'
+                    },
+                    issue_type: {
+                      type: ['string', 'array'],
+                      items: { type: 'string' },
+                      description: 'Issue type or list of issue types'
+                    },
+                    components: {
+                      type: 'array',
+                      items: { type: 'string' },
+                      description: 'Issues in any of these components'
+                    },
+                    labels: {
+                      type: 'array',
+                      items: { type: 'string' },
+                      description: 'Issues with any of these labels'
+                    },
+                    created_after: {
+                      type: 'string',
+                      description: 'Created on/after this date (YYYY-MM-DD or relative, e.g. -7d)'
+                    },
+                    created_before: {
+                      type: 'string',
+                      description: 'Created before this date (YYYY-MM-DD or relative)'
+                    },
+                    updated_after: {
+                      type: 'string',
+                      description: 'Updated on/after this date (YYYY-MM-DD or relative)'
+                    },
+                    updated_before: {
+                      type: 'string',
+                      description: 'Updated before this date (YYYY-MM-DD or relative)'
+                    },
+                    sort_by: {
+                      type: 'string',
+                      description: 'Field to order by (default: created)'
+                    },
+                    sort_order: {
+                      type: 'string',
+                      enum: ['asc', 'desc'],
+                      description: 'Sort direction (default: desc)'
+                    }
+                  }
                 },
                 project: {
                   type: 'string',
@@ -202,11 +1318,14 @@ class JiraServer {
                 },
                 max_results: {
                   type: 'number',
-                  description: 'Maximum number of results (default: 10)',
+                  description: 'Maximum number of results per page (default: 10)',
                   default: 10
+                },
+                cursor: {
+                  type: 'string',
+                  description: 'next_cursor from a previous page to continue the same query (other arguments are ignored; valid for 30 minutes)',
                 }
-              },
-              required: ['query']
+              }
             }
           },
           {
@@ -256,91 +1375,395 @@ class JiraServer {
                   default: true
                 }
               },
-              required: []
+              required: []
+            }
+          },
+          {
+            name: 'get_sprint_insights',
+            description: 'Get comprehensive insights for current/active sprints including progress analysis. Uses configured boards from JIRA_BOARDS if no board specified.',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                board_name: {
+                  type: 'string',
+                  description: 'Name of the board to analyze (optional if JIRA_BOARDS is configured)',
+                },
+                sprint_name: {
+                  type: 'string',
+                  description: 'Specific sprint name (optional, defaults to active sprint)',
+                }
+              },
+              required: []
+            }
+          },
+          {
+            name: 'get_sprint_burndown',
+            description: 'Rebuild a sprint day by day from issue changelogs: remaining, completed and in-scope issues/story points per day next to the ideal line for the committed scope, and whether the sprint is ahead of or behind plan',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                board_name: {
+                  type: 'string',
+                  description: 'Name of the board (optional if JIRA_BOARDS is configured)',
+                },
+                sprint_name: {
+                  type: 'string',
+                  description: 'Specific sprint name (optional, defaults to active sprint)',
+                },
+                unit: {
+                  type: 'string',
+                  enum: ['issues', 'points'],
+                  description: 'Unit for the ideal line and ahead/behind assessment (default: issues)',
+                  default: 'issues'
+                }
+              },
+              required: []
+            }
+          },
+          {
+            name: 'get_sprint_velocity',
+            description: 'Velocity history across the last closed sprints of a board: issues and story points committed at sprint start vs completed by close (with work added and removed mid-sprint), rolling average, standard deviation and trend',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                board_name: {
+                  type: 'string',
+                  description: 'Name of the board (optional if JIRA_BOARDS is configured)',
+                },
+                sprint_count: {
+                  type: 'number',
+                  description: 'Number of most recent closed sprints to analyze (default: 6)',
+                  default: 6
+                }
+              },
+              required: []
+            }
+          },
+          {
+            name: 'get_sprint_scope_changes',
+            description: 'Detect issues added to or removed from a sprint after it started, from sprint-field changes in issue changelogs: scope-creep percentage and who added what, when',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                board_name: {
+                  type: 'string',
+                  description: 'Name of the board (optional if JIRA_BOARDS is configured)',
+                },
+                sprint_name: {
+                  type: 'string',
+                  description: 'Specific sprint name (optional, defaults to active sprint)',
+                }
+              },
+              required: []
+            }
+          },
+          {
+            name: 'get_sprint_carryover',
+            description: 'Find unfinished issues that have been in two or more consecutive sprints of a board, with how often each carried over, its assignee and current status',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                board_name: {
+                  type: 'string',
+                  description: 'Name of the board (optional if JIRA_BOARDS is configured)',
+                },
+                sprint_count: {
+                  type: 'number',
+                  description: 'Number of most recent sprints to look back over (default: 6)',
+                  default: 6
+                },
+                min_sprints: {
+                  type: 'number',
+                  description: 'Minimum consecutive sprints an issue must span to be reported (default: 2)',
+                  default: 2
+                }
+              },
+              required: []
+            }
+          },
+          {
+            name: 'analyze_duplicates',
+            description: 'Analyze an issue for potential duplicates against historical data',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                issue_key: {
+                  type: 'string',
+                  description: 'Issue key to analyze',
+                },
+                project: {
+                  type: 'string',
+                  description: 'Project to search within (optional, defaults to issue project)',
+                }
+              },
+              required: ['issue_key']
+            }
+          },
+          {
+            name: 'link_issues',
+            description: 'Link two issues with any link type (e.g. "duplicates", "blocks", "is blocked by", "relates to")',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                issue_key: {
+                  type: 'string',
+                  description: 'Source issue key, read as "<issue_key> <link_type> <target_key>"',
+                },
+                target_key: {
+                  type: 'string',
+                  description: 'Target issue key',
+                },
+                link_type: {
+                  type: 'string',
+                  description: 'Link phrase or link type name (default: "relates to")',
+                  default: 'relates to'
+                }
+              },
+              required: ['issue_key', 'target_key']
+            }
+          },
+          {
+            name: 'resolve_as_duplicate',
+            description: 'Close an issue as a duplicate: links it to the original, transitions it with a duplicate resolution and comments with the similarity score',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                issue_key: {
+                  type: 'string',
+                  description: 'Duplicate issue to resolve',
+                },
+                original_key: {
+                  type: 'string',
+                  description: 'Original issue it duplicates (e.g. top candidate from analyze_duplicates)',
+                },
+                resolution: {
+                  type: 'string',
+                  description: 'Resolution name (default: Duplicate)',
+                  default: 'Duplicate'
+                }
+              },
+              required: ['issue_key', 'original_key']
+            }
+          },
+          {
+            name: 'get_component_experts',
+            description: 'Find experts for specific components based on historical assignments',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                component: {
+                  type: 'string',
+                  description: 'Component name',
+                },
+                project: {
+                  type: 'string',
+                  description: 'Project key (optional, defaults to configured default)',
+                }
+              },
+              required: ['component']
+            }
+          },
+          {
+            name: 'get_triage_summary',
+            description: 'Get comprehensive triage analysis for an issue',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                issue_key: {
+                  type: 'string',
+                  description: 'Issue key for triage analysis',
+                }
+              },
+              required: ['issue_key']
+            }
+          },
+          {
+            name: 'assign_issue',
+            description: 'Assign an issue to a user, or pick one automatically from component experts balanced against current workload',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                issue_key: {
+                  type: 'string',
+                  description: 'Issue key (e.g., FDP-1510, PROJ-123)',
+                },
+                assignee: {
+                  type: 'string',
+                  description: 'Username to assign, or "auto" to choose from component experts and workload',
+                },
+                component: {
+                  type: 'string',
+                  description: 'Component to rank experts for with "auto" (optional, defaults to the issue\'s first component)',
+                }
+              },
+              required: ['issue_key', 'assignee']
             }
           },
           {
-            name: 'get_sprint_insights',
-            description: 'Get comprehensive insights for current/active sprints including progress analysis. Uses configured boards from JIRA_BOARDS if no board specified.',
+            name: 'bulk_update',
+            description: 'Update every issue matching a JQL query. The first call returns a dry-run diff and a confirmation token; call again with the token to apply',
             inputSchema: {
               type: 'object',
               properties: {
-                board_name: {
+                jql: {
                   type: 'string',
-                  description: 'Name of the board to analyze (optional if JIRA_BOARDS is configured)',
+                  description: 'JQL selecting the issues to update',
                 },
-                sprint_name: {
+                changes: {
+                  type: 'object',
+                  description: 'Field changes to apply to every matching issue',
+                  properties: {
+                    add_labels: {
+                      type: 'array',
+                      items: { type: 'string' },
+                      description: 'Labels to add'
+                    },
+                    remove_labels: {
+                      type: 'array',
+                      items: { type: 'string' },
+                      description: 'Labels to remove'
+                    },
+                    add_fix_versions: {
+                      type: 'array',
+                      items: { type: 'string' },
+                      description: 'Fix versions to add'
+                    },
+                    remove_fix_versions: {
+                      type: 'array',
+                      items: { type: 'string' },
+                      description: 'Fix versions to remove'
+                    },
+                    add_components: {
+                      type: 'array',
+                      items: { type: 'string' },
+                      description: 'Components to add'
+                    },
+                    remove_components: {
+                      type: 'array',
+                      items: { type: 'string' },
+                      description: 'Components to remove'
+                    },
+                    priority: {
+                      type: 'string',
+                      description: 'Priority to set'
+                    },
+                    assignee: {
+                      type: 'string',
+                      description: 'Username to assign'
+                    }
+                  }
+                },
+                confirmation_token: {
                   type: 'string',
-                  description: 'Specific sprint name (optional, defaults to active sprint)',
+                  description: 'Token from the dry-run preview; must be used with the same profile; omit to get a preview without changing anything',
+                },
+                max_issues: {
+                  type: 'number',
+                  description: 'Maximum number of matching issues to update (default: 50, max: 200)',
+                  default: 50
                 }
               },
-              required: []
+              required: ['jql', 'changes']
             }
           },
           {
-            name: 'analyze_duplicates',
-            description: 'Analyze an issue for potential duplicates against historical data',
+            name: 'get_project_analytics',
+            description: 'Get comprehensive project analytics including velocity, health metrics, and trends',
             inputSchema: {
               type: 'object',
               properties: {
-                issue_key: {
-                  type: 'string',
-                  description: 'Issue key to analyze',
-                },
                 project: {
                   type: 'string',
-                  description: 'Project to search within (optional, defaults to issue project)',
+                  description: 'Project key (optional, defaults to configured default)',
+                },
+                days_back: {
+                  type: 'number',
+                  description: 'Number of days to analyze (default: 30)',
+                  default: 30
+                },
+                compare_previous: {
+                  type: 'boolean',
+                  description: 'Also analyze the preceding period of the same length and report deltas, percentage changes and whether each metric is improving or worsening (default: false)',
+                  default: false
                 }
-              },
-              required: ['issue_key']
+              }
             }
           },
           {
-            name: 'get_component_experts',
-            description: 'Find experts for specific components based on historical assignments',
+            name: 'get_flow_metrics',
+            description: 'Cycle time (first in-progress to done) and lead time (created to done) from issue changelogs: median, 85th and 95th percentiles, broken down by issue type, component and priority',
             inputSchema: {
               type: 'object',
               properties: {
-                component: {
-                  type: 'string',
-                  description: 'Component name',
-                },
                 project: {
                   type: 'string',
                   description: 'Project key (optional, defaults to configured default)',
+                },
+                days_back: {
+                  type: 'number',
+                  description: 'Include work completed in this many days (default: 90)',
+                  default: 90
+                },
+                jql: {
+                  type: 'string',
+                  description: 'Custom JQL scope instead of the whole project (optional)',
                 }
-              },
-              required: ['component']
+              }
             }
           },
           {
-            name: 'get_triage_summary',
-            description: 'Get comprehensive triage analysis for an issue',
+            name: 'get_cumulative_flow',
+            description: 'Daily cumulative flow data (issue counts per status category per day) rebuilt from changelogs for a board or JQL scope, flagging widening WIP bands and stalled stages',
             inputSchema: {
               type: 'object',
               properties: {
-                issue_key: {
+                board_name: {
                   type: 'string',
-                  description: 'Issue key for triage analysis',
+                  description: 'Board whose sprint issues make up the scope (optional if JIRA_BOARDS is configured)',
+                },
+                jql: {
+                  type: 'string',
+                  description: 'Custom JQL scope instead of a board (optional)',
+                },
+                start_date: {
+                  type: 'string',
+                  description: 'First day of the range, YYYY-MM-DD (default: 30 days before end_date)',
+                },
+                end_date: {
+                  type: 'string',
+                  description: 'Last day of the range, YYYY-MM-DD (default: today)',
+                },
+                stall_days: {
+                  type: 'number',
+                  description: 'Days without anything leaving a status before it is flagged as stalled (default: 5)',
+                  default: 5
                 }
-              },
-              required: ['issue_key']
+              }
             }
           },
           {
-            name: 'get_project_analytics',
-            description: 'Get comprehensive project analytics including velocity, health metrics, and trends',
+            name: 'get_time_in_status',
+            description: 'How long an issue, or each issue in a JQL set, spent in every status, with flow efficiency (active time / total time) and the slowest waiting states',
             inputSchema: {
               type: 'object',
               properties: {
-                project: {
+                issue_key: {
                   type: 'string',
-                  description: 'Project key (optional, defaults to configured default)',
+                  description: 'Single issue to analyze (provide this or jql)',
                 },
-                days_back: {
+                jql: {
+                  type: 'string',
+                  description: 'JQL selecting the issues to analyze (provide this or issue_key)',
+                },
+                max_results: {
                   type: 'number',
-                  description: 'Number of days to analyze (default: 30)',
-                  default: 30
+                  description: 'Maximum issues to analyze for a JQL set (default: 50, max: 200)',
+                  default: 50
+                },
+                active_statuses: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: 'Statuses that count as active work (optional, defaults to in-progress statuses not named like waiting/blocked/on hold)',
                 }
               }
             }
@@ -380,6 +1803,50 @@ class JiraServer {
               required: ['version']
             }
           },
+          {
+            name: 'get_release_forecast',
+            description: 'Monte Carlo forecast for the remaining issues of a fix version, sampling historical weekly throughput from the project or a board\'s closed sprints: 50%, 85% and 95% completion dates and the chance of hitting a target date',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                version: {
+                  type: 'string',
+                  description: 'Version name or pattern to forecast',
+                },
+                project: {
+                  type: 'string',
+                  description: 'Project key (optional, defaults to configured default)',
+                },
+                board_name: {
+                  type: 'string',
+                  description: 'Sample throughput from this board\'s closed sprints instead of the project\'s weekly completions (optional)',
+                },
+                target_date: {
+                  type: 'string',
+                  description: 'Date to estimate the probability of finishing by, YYYY-MM-DD (optional)',
+                },
+                weeks_back: {
+                  type: 'number',
+                  description: 'Weeks of throughput history to sample; with a board, the closed sprints that ended in that window (default: 12)',
+                  default: 12
+                },
+                simulations: {
+                  type: 'number',
+                  description: 'Number of simulated futures (default: 10000, between 1000 and 50000)',
+                  default: 10000
+                }
+              },
+              required: ['version']
+            }
+          },
+          {
+            name: 'get_cache_stats',
+            description: 'Show response cache diagnostics: hit/miss counts per command class, entries and TTLs',
+            inputSchema: {
+              type: 'object',
+              properties: {}
+            }
+          },
           {
             name: 'get_component_health',
             description: 'Analyze component health metrics including issue distribution and trends',
@@ -397,7 +1864,7 @@ class JiraServer {
               }
             }
           }
-        ]
+        ].map(tool => this.withCommonArguments(tool))
       };
     });
 
@@ -406,74 +1873,471 @@ class JiraServer {
       const { name, arguments: args } = request.params;
 
       try {
-        switch (name) {
-          case 'get_latest_issues':
-            return await this.getLatestIssues(args?.project, args?.count || 5);
-            
-          case 'get_issue_details':
-            return await this.getIssueDetails(args.issue_key);
-            
-          case 'search_issues':
-            return await this.searchIssues(args.query, args?.project, args?.max_results || 10);
-            
-          case 'list_boards':
-            return await this.listBoards(args?.limit || 25);
-            
-          case 'list_configured_boards':
-            return await this.listConfiguredBoards();
-            
-          case 'get_board_sprints':
-            return await this.getBoardSprints(args.board_name, args?.sprint_name, args?.show_all || false, args?.include_issues !== false);
-            
-          case 'get_sprint_insights':
-            return await this.getSprintInsights(args.board_name, args?.sprint_name);
-            
-          case 'analyze_duplicates':
-            return await this.analyzeDuplicates(args.issue_key, args?.project);
-            
-          case 'get_component_experts':
-            return await this.getComponentExperts(args.component, args?.project);
-            
-          case 'get_triage_summary':
-            return await this.getTriageSummary(args.issue_key);
-            
-          case 'get_project_analytics':
-            return await this.getProjectAnalytics(args?.project, args?.days_back || 30);
-            
-          case 'get_user_workload':
-            return await this.getUserWorkload(args?.user, args?.project);
-            
-          case 'get_release_readiness':
-            return await this.getReleaseReadiness(args.version, args?.project);
-            
-          case 'get_component_health':
-            return await this.getComponentHealth(args?.component, args?.project);
-            
-          default:
-            throw new Error(`Unknown tool: ${name}`);
+        const profile = this.resolveProfile(args?.profile);
+        
+        // Per-call options travel with the async call chain instead of through every method signature
+        return await this.requestContext.run({ refresh: args?.refresh === true, profile }, async () => {
+          await this.detectStoryPointsField();
+          return this.dispatchTool(name, args);
+        });
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Error executing ${name}: ${error.message}`
+            }
+          ],
+          isError: true
+        };
+      }
+    });
+
+    // Resources - live JIRA context clients can attach directly
+    this.server.setRequestHandler(ListResourcesRequestSchema, async () => {
+      return { resources: this.listResources() };
+    });
+
+    this.server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+      return {
+        resourceTemplates: [
+          {
+            uriTemplate: 'jira://issue/{issue_key}',
+            name: 'JIRA issue',
+            description: 'Issue details with comments, links and components (append ?profile=<name> for another instance)',
+            mimeType: 'application/json'
+          },
+          {
+            uriTemplate: 'jira://board/{board_name}/sprint/{sprint}',
+            name: 'Sprint insights',
+            description: 'Sprint progress and issue breakdown; use "active" for the current sprint or a sprint name',
+            mimeType: 'application/json'
+          },
+          {
+            uriTemplate: 'jira://project/{project_key}/analytics',
+            name: 'Project analytics',
+            description: 'Project velocity, open issue distribution and resolution metrics for the last 30 days',
+            mimeType: 'application/json'
+          }
+        ]
+      };
+    });
+
+    this.server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+      return { contents: [await this.readResource(request.params.uri)] };
+    });
+
+    // Prompts - recurring workflows with the relevant JIRA data already embedded
+    const profileArgument = {
+      name: 'profile',
+      description: `JIRA instance profile to use (optional, defaults to ${this.defaultProfileName})`,
+      required: false
+    };
+
+    this.server.setRequestHandler(ListPromptsRequestSchema, async () => {
+      return {
+        prompts: [
+          {
+            name: 'triage_issue',
+            description: 'Triage an issue using its duplicate analysis, component experts and current state',
+            arguments: [
+              { name: 'issue_key', description: 'Issue key to triage (e.g., FDP-1234)', required: true },
+              profileArgument
+            ]
+          },
+          {
+            name: 'daily_standup',
+            description: 'Prepare a daily standup summary from the active sprint of a board',
+            arguments: [
+              { name: 'board', description: 'Board name (optional, defaults to the first configured board)', required: false },
+              profileArgument
+            ]
+          },
+          {
+            name: 'release_go_no_go',
+            description: 'Make a go/no-go recommendation for a release from its readiness metrics',
+            arguments: [
+              { name: 'version', description: 'Version/release name (e.g., 1.32.0)', required: true },
+              { name: 'project', description: 'Project key (optional, defaults to configured default)', required: false },
+              profileArgument
+            ]
+          }
+        ]
+      };
+    });
+
+    this.server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+      const { name, arguments: args } = request.params;
+      const profile = this.resolveProfile(args?.profile);
+      
+      return this.requestContext.run({ refresh: false, profile }, async () => {
+        await this.detectStoryPointsField();
+        return this.getPrompt(name, args || {});
+      });
+    });
+  }
+
+  async getPrompt(name, args) {
+    // Each prompt embeds the output of the tool a user would otherwise have run first
+    const embed = async (toolResult) => {
+      const text = toolResult.content[0].text;
+      if (toolResult.isError) {
+        throw new Error(text);
+      }
+      return text;
+    };
+    
+    switch (name) {
+      case 'triage_issue': {
+        if (!args.issue_key) {
+          throw new Error('Missing required argument: issue_key');
+        }
+        const triage = await embed(await this.getTriageSummary(args.issue_key));
+        return this.promptResult(`Triage ${args.issue_key}`, [
+          `Triage JIRA issue ${args.issue_key} using the triage summary below.`,
+          '',
+          '1. Duplicates: if the duplicate analysis shows a likely match, say which issue and whether to resolve this one as a duplicate (resolve_as_duplicate).',
+          '2. Ownership: recommend an assignee from the component experts, or suggest assign_issue with "auto" if workload should decide.',
+          '3. Classification: point out missing or questionable priority, components and labels.',
+          '4. Next steps: list concrete actions in order, with the tool to use where one exists.',
+          '',
+          'Keep the answer short and decision-focused.',
+          '',
+          'Triage summary:',
+          '```json',
+          triage,
+          '```'
+        ]);
+      }
+      
+      case 'daily_standup': {
+        const insights = await embed(await this.getSprintInsights(args.board));
+        const boardName = args.board || this.configuredBoards[0];
+        
+        // Sprint insights come back as plain text when the board has no sprints, and as JSON with no entries when none is active
+        let sprints = [];
+        try {
+          sprints = JSON.parse(insights).sprint_insights || [];
+        } catch (error) {
+          // Plain-text answer - there is nothing to fence as JSON
+        }
+        if (sprints.length === 0) {
+          const reason = insights.trim().startsWith('{') ? `no sprint on board "${boardName}" is active` : insights.trim();
+          return this.promptResult(`Daily standup for ${boardName}`, [
+            `There is no sprint to prepare today's standup from: ${reason}.`,
+            '',
+            'Say so in a sentence or two and suggest a next step: check the board name, start the next sprint, or hold the standup from the team\'s open issues instead.'
+          ]);
+        }
+        
+        return this.promptResult(`Daily standup for ${boardName}`, [
+          `Prepare today's standup summary for board "${boardName}" using the sprint insights below.`,
+          '',
+          '1. Sprint status: completion so far against the time left in the sprint.',
+          '2. Per person: what each assignee has in progress and still to do.',
+          '3. Risks: unassigned work, items not started late in the sprint, and anything that looks stuck.',
+          '4. Discussion points: at most three topics worth raising with the team.',
+          '',
+          'Use short bullet points suitable for reading out in a few minutes.',
+          '',
+          'Sprint insights:',
+          '```json',
+          insights,
+          '```'
+        ]);
+      }
+      
+      case 'release_go_no_go': {
+        if (!args.version) {
+          throw new Error('Missing required argument: version');
+        }
+        const readiness = await embed(await this.getReleaseReadiness(args.version, args.project));
+        return this.promptResult(`Go/no-go review for ${args.version}`, [
+          `Decide whether release ${args.version} is ready to ship using the readiness report below.`,
+          '',
+          '1. Recommendation: GO, GO WITH CONDITIONS or NO GO, stated first.',
+          '2. Evidence: completion, open critical/blocker issues and blocked work that support the call.',
+          '3. Conditions or blockers: the specific issues that must be resolved or explicitly accepted.',
+          '4. Follow-up: owners and next steps for anything deferred.',
+          '',
+          'Readiness report:',
+          '```json',
+          readiness,
+          '```'
+        ]);
+      }
+      
+      default:
+        throw new Error(`Unknown prompt: ${name}`);
+    }
+  }
+
+  promptResult(description, lines) {
+    return {
+      description: description,
+      messages: [
+        {
+          role: 'user',
+          content: {
+            type: 'text',
+            text: lines.join('\n')
+          }
+        }
+      ]
+    };
+  }
+
+  resolveProfile(profileName) {
+    if (!profileName) return undefined;
+    
+    const profile = this.profiles.get(profileName);
+    if (!profile) {
+      throw new Error(`Unknown profile "${profileName}". Available profiles: ${[...this.profiles.keys()].join(', ')}`);
+    }
+    return profile;
+  }
+
+  listResources() {
+    const resources = [];
+    
+    // One set of resources per profile; the default profile's URIs carry no profile parameter
+    this.profiles.forEach(profile => {
+      const suffix = profile.name === this.defaultProfileName ? '' : `?profile=${encodeURIComponent(profile.name)}`;
+      const label = profile.name === this.defaultProfileName ? '' : ` (${profile.name})`;
+      
+      profile.configuredBoards.forEach(board => {
+        resources.push({
+          uri: `jira://board/${encodeURIComponent(board)}/sprint/active${suffix}`,
+          name: `${board} - active sprint${label}`,
+          description: `Active sprint progress and issue breakdown for ${board}`,
+          mimeType: 'application/json'
+        });
+      });
+      
+      resources.push({
+        uri: `jira://project/${encodeURIComponent(profile.defaultProject)}/analytics${suffix}`,
+        name: `${profile.defaultProject} analytics${label}`,
+        description: `Velocity, open issue distribution and resolution metrics for ${profile.defaultProject}`,
+        mimeType: 'application/json'
+      });
+    });
+    
+    return resources;
+  }
+
+  async readResource(uri) {
+    let parsed;
+    try {
+      parsed = new URL(uri);
+    } catch (error) {
+      throw new Error(`Invalid resource URI: ${uri}`);
+    }
+    if (parsed.protocol !== 'jira:') {
+      throw new Error(`Unsupported resource URI: ${uri}`);
+    }
+    
+    const segments = parsed.pathname.split('/').filter(segment => segment).map(decodeURIComponent);
+    const profile = this.resolveProfile(parsed.searchParams.get('profile'));
+    
+    const load = () => {
+      switch (parsed.host) {
+        case 'issue':
+          if (segments.length === 1) return this.getIssueDetails(segments[0]);
+          break;
+        case 'board':
+          if (segments.length === 3 && segments[1] === 'sprint') {
+            return this.getSprintInsights(segments[0], segments[2] === 'active' ? undefined : segments[2]);
+          }
+          break;
+        case 'project':
+          if (segments.length === 2 && segments[1] === 'analytics') return this.getProjectAnalytics(segments[0]);
+          break;
+      }
+      throw new Error(`Unknown resource: ${uri}. Use resources/templates/list to see supported URIs`);
+    };
+    
+    const result = await this.requestContext.run({ refresh: false, profile }, async () => {
+      await this.detectStoryPointsField();
+      return load();
+    });
+    const text = result.content[0].text;
+    if (result.isError) {
+      throw new Error(text);
+    }
+    
+    let isJson = true;
+    try {
+      JSON.parse(text);
+    } catch (error) {
+      isJson = false;
+    }
+    
+    return {
+      uri: uri,
+      mimeType: isJson ? 'application/json' : 'text/plain',
+      text: text
+    };
+  }
+
+  async dispatchTool(name, args) {
+    switch (name) {
+      case 'get_latest_issues':
+        return await this.getLatestIssues(args?.project, args?.count || 5, args?.cursor);
+        
+      case 'get_issue_details':
+        return await this.getIssueDetails(args.issue_key, args.include_time_in_status);
+        
+      case 'create_issue':
+        return await this.createIssue(args);
+        
+      case 'get_issue_transitions':
+        return await this.getIssueTransitions(args.issue_key);
+        
+      case 'transition_issue':
+        return await this.transitionIssue(args.issue_key, args.transition, args?.resolution, args?.comment);
+        
+      case 'get_issue_comments':
+        return await this.getIssueComments(args.issue_key, args?.start_at || 0, args?.max_results || 20);
+        
+      case 'add_comment':
+        return await this.addComment(args.issue_key, args.body, args?.visibility);
+        
+      case 'edit_comment':
+        return await this.editComment(args.issue_key, args.comment_id, args.body, args?.visibility);
+        
+      case 'search_issues':
+        return await this.searchIssues(args?.query, args?.project, args?.max_results || 10, args?.mode || 'auto', args?.filters, args?.cursor);
+        
+      case 'list_boards':
+        return await this.listBoards(args?.limit || 25);
+        
+      case 'list_configured_boards':
+        return await this.listConfiguredBoards();
+        
+      case 'get_board_sprints':
+        return await this.getBoardSprints(args.board_name, args?.sprint_name, args?.show_all || false, args?.include_issues !== false);
+        
+      case 'get_sprint_insights':
+        return await this.getSprintInsights(args.board_name, args?.sprint_name);
+        
+      case 'get_sprint_burndown':
+        return await this.getSprintBurndown(args?.board_name, args?.sprint_name, args?.unit);
+        
+      case 'get_sprint_velocity':
+        return await this.getSprintVelocity(args?.board_name, args?.sprint_count);
+        
+      case 'get_sprint_scope_changes':
+        return await this.getSprintScopeChanges(args?.board_name, args?.sprint_name);
+        
+      case 'get_sprint_carryover':
+        return await this.getSprintCarryover(args?.board_name, args?.sprint_count, args?.min_sprints);
+        
+      case 'analyze_duplicates':
+        return await this.analyzeDuplicates(args.issue_key, args?.project);
+        
+      case 'link_issues':
+        return await this.linkIssues(args.issue_key, args.target_key, args?.link_type || 'relates to');
+        
+      case 'resolve_as_duplicate':
+        return await this.resolveAsDuplicate(args.issue_key, args.original_key, args?.resolution || 'Duplicate');
+        
+      case 'get_component_experts':
+        return await this.getComponentExperts(args.component, args?.project);
+        
+      case 'get_triage_summary':
+        return await this.getTriageSummary(args.issue_key);
+        
+      case 'assign_issue':
+        return await this.assignIssue(args.issue_key, args.assignee, args?.component);
+        
+      case 'bulk_update':
+        return await this.bulkUpdate(args.jql, args.changes, args?.confirmation_token, args?.max_issues || 50);
+        
+      case 'get_project_analytics':
+        return await this.getProjectAnalytics(args?.project, args?.days_back || 30, args?.compare_previous);
+        
+      case 'get_flow_metrics':
+        return await this.getFlowMetrics(args?.project, args?.days_back || 90, args?.jql);
+        
+      case 'get_cumulative_flow':
+        return await this.getCumulativeFlow(args?.board_name, args?.jql, args?.start_date, args?.end_date, args?.stall_days || 5);
+        
+      case 'get_time_in_status':
+        return await this.getTimeInStatus(args?.issue_key, args?.jql, args?.max_results || 50, args?.active_statuses);
+        
+      case 'get_user_workload':
+        return await this.getUserWorkload(args?.user, args?.project);
+        
+      case 'get_release_readiness':
+        return await this.getReleaseReadiness(args.version, args?.project);
+        
+      case 'get_release_forecast':
+        return await this.getReleaseForecast(args.version, args?.project, args?.board_name, args?.target_date, args?.weeks_back || 12, args?.simulations || 10000);
+        
+      case 'get_component_health':
+        return await this.getComponentHealth(args?.component, args?.project);
+        
+      case 'get_cache_stats':
+        return this.getCacheStats();
+        
+      default:
+        throw new Error(`Unknown tool: ${name}`);
+    }
+  }
+
+  withCommonArguments(tool) {
+    return {
+      ...tool,
+      inputSchema: {
+        ...tool.inputSchema,
+        properties: {
+          ...tool.inputSchema.properties,
+          refresh: {
+            type: 'boolean',
+            description: 'Bypass the response cache and fetch fresh data from JIRA (default: false)',
+            default: false
+          },
+          profile: {
+            type: 'string',
+            enum: [...this.profiles.keys()],
+            description: `JIRA instance profile to use (optional, defaults to ${this.defaultProfileName})`
+          }
         }
-      } catch (error) {
-        return {
-          content: [
-            {
-              type: 'text',
-              text: `Error executing ${name}: ${error.message}`
-            }
-          ],
-          isError: true
-        };
       }
-    });
+    };
+  }
+
+  getCacheStats() {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            cache: this.cache.snapshot(),
+            query_timestamp: new Date().toISOString()
+          }, null, 2)
+        }
+      ]
+    };
   }
 
-  async getLatestIssues(project, count = 5) {
+  async getLatestIssues(project, count = 5, cursor) {
     try {
-      const projectKey = project || this.defaultProject;
-      const maxCount = Math.min(count, 20); // Safety limit
-      const command = `jcli issues list --jql "project = ${projectKey} ORDER BY created DESC" --max-issues ${maxCount} --output json --summary-len 0`;
-      const output = await this.executeJCLI(command);
-      
-      const data = JSON.parse(output);
+      let page;
+      if (cursor) {
+        page = this.decodeCursor(cursor, 'get_latest_issues');
+      } else {
+        const projectKey = project || this.defaultProject;
+        page = {
+          tool: 'get_latest_issues',
+          project: projectKey,
+          jql: `project = ${this.jqlLiteral(projectKey)} ORDER BY created DESC`,
+          start_at: 0,
+          page_size: Math.min(count, 20) // Safety limit
+        };
+      }
+      const projectKey = page.project;
+      const data = await this.listIssues(page.jql, page.page_size, page.start_at);
       const issues = data.issues || [];
       
       // Format for better readability
@@ -496,9 +2360,11 @@ class JiraServer {
             type: 'text',
             text: JSON.stringify({
               total_count: data.issues_count,
+              start_at: page.start_at,
               issues: formattedIssues,
+              next_cursor: this.nextCursor(page, issues.length, data.issues_count),
               query_timestamp: new Date().toISOString(),
-              note: `Retrieved ${formattedIssues.length} most recent ${projectKey} issues`
+              note: `Retrieved ${formattedIssues.length} most recent ${projectKey} issues starting at #${page.start_at + 1}`
             }, null, 2)
           }
         ]
@@ -516,41 +2382,17 @@ class JiraServer {
     }
   }
 
-  async getIssueDetails(issueKey) {
+  async getIssueDetails(issueKey, includeTimeInStatus = false) {
     try {
-      const command = `jcli issues show ${issueKey} --raw --json`;
-      const output = await this.executeJCLI(command);
-      
-      const data = JSON.parse(output);
-      const issue = data[0]; // Raw output is an array
+      const issue = await this.fetchIssue(issueKey);
+      const details = this.formatIssueDetails(issue);
       
-      // Extract key information
-      const details = {
-        key: issue.key,
-        summary: issue.fields.summary,
-        description: issue.fields.description || 'No description',
-        status: issue.fields.status.name,
-        priority: issue.fields.priority?.name || 'Undefined',
-        assignee: issue.fields.assignee?.displayName || 'Unassigned',
-        reporter: issue.fields.reporter?.displayName || 'Unknown',
-        created: issue.fields.created,
-        updated: issue.fields.updated,
-        components: issue.fields.components?.map(c => ({ name: c.name, description: c.description })) || [],
-        labels: issue.fields.labels || [],
-        issue_type: issue.fields.issuetype.name,
-        links: issue.fields.issuelinks?.map(link => ({
-          relationship: link.type.name,
-          target: link.outwardIssue?.key || link.inwardIssue?.key,
-          target_summary: link.outwardIssue?.fields?.summary || link.inwardIssue?.fields?.summary
-        })) || [],
-        comments: issue.fields.comment?.comments?.map(c => ({
-          author: c.author.displayName,
-          created: c.created,
-          body: c.body.substring(0, 1000) + (c.body.length > 1000 ? '...' : '')
-        })) || [],
-        watchers: issue.fields.watches?.watchCount || 0,
-        votes: issue.fields.votes?.votes || 0
-      };
+      if (includeTimeInStatus) {
+        const [withChangelog] = await this.fetchIssuesWithChangelog([issue.key]);
+        if (withChangelog) {
+          details.time_in_status = this.timeInStatus(withChangelog, this.learnStatusCategories([withChangelog]));
+        }
+      }
 
       return {
         content: [
@@ -573,45 +2415,291 @@ class JiraServer {
     }
   }
 
-  async searchIssues(query, project, maxResults = 10) {
+  async fetchIssue(issueKey) {
+    return this.backend.getIssue(this.assertIssueKey(issueKey));
+  }
+
+  formatIssueDetails(issue) {
+    // Extract key information
+    return {
+      key: issue.key,
+      summary: issue.fields.summary,
+      description: issue.fields.description || 'No description',
+      status: issue.fields.status.name,
+      status_category: this.issueStatusCategory(issue),
+      priority: issue.fields.priority?.name || 'Undefined',
+      assignee: issue.fields.assignee?.displayName || 'Unassigned',
+      reporter: issue.fields.reporter?.displayName || 'Unknown',
+      created: issue.fields.created,
+      updated: issue.fields.updated,
+      components: issue.fields.components?.map(c => ({ name: c.name, description: c.description })) || [],
+      labels: issue.fields.labels || [],
+      fix_versions: issue.fields.fixVersions?.map(v => v.name) || [],
+      issue_type: issue.fields.issuetype.name,
+      links: issue.fields.issuelinks?.map(link => ({
+        relationship: link.type.name,
+        target: link.outwardIssue?.key || link.inwardIssue?.key,
+        target_summary: link.outwardIssue?.fields?.summary || link.inwardIssue?.fields?.summary
+      })) || [],
+      comments: issue.fields.comment?.comments?.map(c => ({
+        id: c.id,
+        author: c.author.displayName,
+        created: c.created,
+        body: c.body.substring(0, 1000) + (c.body.length > 1000 ? '...' : '')
+      })) || [],
+      watchers: issue.fields.watches?.watchCount || 0,
+      votes: issue.fields.votes?.votes || 0
+    };
+  }
+
+  async createIssue(fields) {
     try {
-      let jqlQuery;
+      const projectKey = fields.project || this.defaultProject;
       
-      // Check if it's already a JQL query
-      if (query.toLowerCase().includes('project =') || query.toLowerCase().includes('jql')) {
-        jqlQuery = query;
-      } else {
-        // Convert keywords to JQL with project filter
-        const projectKey = project || this.defaultProject;
-        jqlQuery = `project = ${projectKey} AND (summary ~ "${query}" OR description ~ "${query}" OR comment ~ "${query}")`;
-      }
+      const key = await this.backend.createIssue({ ...fields, project: projectKey });
+      const issue = await this.fetchIssue(key);
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              created: true,
+              key: key,
+              issue: this.formatIssueDetails(issue),
+              query_timestamp: new Date().toISOString()
+            }, null, 2)
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error creating issue: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+
+  async fetchTransitions(issueKey) {
+    return this.backend.getTransitions(this.assertIssueKey(issueKey));
+  }
+
+  async getIssueTransitions(issueKey) {
+    try {
+      const issue = await this.fetchIssue(issueKey);
+      const transitions = await this.fetchTransitions(issueKey);
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              issue_key: issueKey,
+              current_status: issue.fields.status.name,
+              available_transitions: transitions,
+              query_timestamp: new Date().toISOString()
+            }, null, 2)
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error retrieving transitions for ${issueKey}: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+
+  async findTransition(issueKey, transitionNames) {
+    const before = await this.fetchIssue(issueKey);
+    const transitions = await this.fetchTransitions(issueKey);
+    
+    // Candidates are tried in order, so callers can express fallbacks ("duplicate", then "resolve")
+    let transition = null;
+    for (const name of transitionNames) {
+      transition = this.matchTransition(name, transitions);
+      if (transition) break;
+    }
+    if (!transition) {
+      const valid = transitions.map(t => t.to_status ? `${t.name} (→ ${t.to_status})` : t.name);
+      throw new Error(`No transition matching "${transitionNames.join('" or "')}" from status ${before.fields.status.name}. Valid transitions: ${valid.length > 0 ? valid.join(', ') : 'none'}`);
+    }
+    
+    return { before, transition };
+  }
+
+  async applyTransition(issueKey, { before, transition }, resolution, comment) {
+    await this.backend.transitionIssue(this.assertIssueKey(issueKey), transition, { resolution, comment });
+    
+    const after = await this.fetchIssue(issueKey);
+    
+    return { before, after, transition };
+  }
+
+  async transitionIssue(issueKey, transitionName, resolution, comment) {
+    try {
+      const match = await this.findTransition(issueKey, [transitionName]);
+      const { before, after, transition } = await this.applyTransition(issueKey, match, resolution, comment);
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              issue_key: issueKey,
+              transition_applied: transition,
+              requested_transition: transitionName,
+              status_change: {
+                before: before.fields.status.name,
+                after: after.fields.status.name
+              },
+              resolution: after.fields.resolution?.name || resolution || null,
+              issue: this.formatIssueDetails(after),
+              query_timestamp: new Date().toISOString()
+            }, null, 2)
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error transitioning ${issueKey}: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+
+  formatComment(comment) {
+    return {
+      id: comment.id,
+      author: comment.author?.displayName || 'Unknown',
+      created: comment.created,
+      updated: comment.updated || comment.created,
+      body: comment.body,
+      visibility: comment.visibility ? { type: comment.visibility.type, value: comment.visibility.value } : null
+    };
+  }
+
+  validateVisibility(visibility) {
+    if (!visibility) return null;
+    
+    if (!['role', 'group'].includes(visibility.type) || !visibility.value) {
+      throw new Error('Comment visibility must be {"type": "role" | "group", "value": "<name>"}');
+    }
+    return { type: visibility.type, value: visibility.value };
+  }
+
+  async getIssueComments(issueKey, startAt = 0, maxResults = 20) {
+    try {
+      // The comment endpoint pages server-side; the issue payload may embed only the first page
+      const data = await this.backend.getComments(this.assertIssueKey(issueKey), { startAt: startAt, maxResults: maxResults });
+      const page = data.comments || [];
+      const total = data.total ?? startAt + page.length;
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              issue_key: issueKey,
+              total_comments: total,
+              start_at: startAt,
+              max_results: maxResults,
+              is_last: page.length === 0 || startAt + page.length >= total,
+              comments: page.map(c => this.formatComment(c)),
+              query_timestamp: new Date().toISOString()
+            }, null, 2)
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error retrieving comments for ${issueKey}: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+
+  async addComment(issueKey, body, visibility) {
+    try {
+      await this.backend.addComment(this.assertIssueKey(issueKey), body, this.validateVisibility(visibility));
       
-      const command = `jcli issues list --jql "${jqlQuery}" --max-issues ${maxResults} --output json --summary-len 0`;
-      const output = await this.executeJCLI(command);
+      // Read the thread back so the response carries the new comment's id
+      const issue = await this.fetchIssue(issueKey);
+      const comments = issue.fields.comment?.comments || [];
+      const created = [...comments].sort((a, b) => new Date(b.created) - new Date(a.created))[0];
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              issue_key: issueKey,
+              comment_added: true,
+              comment: created ? this.formatComment(created) : null,
+              total_comments: comments.length,
+              query_timestamp: new Date().toISOString()
+            }, null, 2)
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error adding comment to ${issueKey}: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+
+  async editComment(issueKey, commentId, body, visibility) {
+    try {
+      const issue = await this.fetchIssue(issueKey);
+      const existing = (issue.fields.comment?.comments || []).find(c => String(c.id) === String(commentId));
+      if (!existing) {
+        throw new Error(`Comment ${commentId} not found on ${issueKey}. Use get_issue_comments to list comment ids.`);
+      }
       
-      const data = JSON.parse(output);
-      const issues = data.issues || [];
+      // Jira itself rejects edits to other users' comments unless the caller has admin rights
+      await this.backend.editComment(this.assertIssueKey(issueKey), String(existing.id), body, this.validateVisibility(visibility));
       
-      const searchResults = {
-        query: query,
-        jql_used: jqlQuery,
-        total_found: data.issues_count,
-        results: issues.map(issue => ({
-          key: issue.key,
-          summary: issue.fields.summary,
-          status: issue.fields.status.name,
-          assignee: issue.fields.assignee?.displayName || 'Unassigned',
-          created: issue.fields.created,
-          components: issue.fields.components?.map(c => c.name) || [],
-          description_snippet: issue.fields.description?.substring(0, 200) + '...' || 'No description'
-        }))
-      };
+      const updatedIssue = await this.fetchIssue(issueKey);
+      const updated = (updatedIssue.fields.comment?.comments || []).find(c => String(c.id) === String(commentId));
 
       return {
         content: [
           {
             type: 'text',
-            text: JSON.stringify(searchResults, null, 2)
+            text: JSON.stringify({
+              issue_key: issueKey,
+              comment_updated: true,
+              previous_body: existing.body,
+              comment: this.formatComment(updated || existing),
+              query_timestamp: new Date().toISOString()
+            }, null, 2)
           }
         ]
       };
@@ -620,7 +2708,7 @@ class JiraServer {
         content: [
           {
             type: 'text',
-            text: `Error searching issues: ${error.message}`
+            text: `Error editing comment ${commentId} on ${issueKey}: ${error.message}`
           }
         ],
         isError: true
@@ -628,28 +2716,113 @@ class JiraServer {
     }
   }
 
-  async listBoards(limit = 25) {
+  async searchIssues(query, project, maxResults = 10, mode = 'auto', filters, cursor) {
     try {
-      const command = `jcli boards list --limit ${limit}`;
-      const output = await this.executeJCLI(command);
-      
-      // Parse the tabulated output - jcli doesn't provide JSON for boards list yet
-      const lines = output.trim().split('\n');
-      const boards = [];
-      
-      // Skip header and separator lines
-      for (let i = 2; i < lines.length; i++) {
-        const line = lines[i].trim();
-        if (line && !line.startsWith('+') && !line.startsWith('|')) {
-          const parts = line.split('|').map(p => p.trim()).filter(p => p);
-          if (parts.length >= 2) {
-            boards.push({
-              name: parts[0],
-              type: parts[1]
-            });
-          }
+      if (cursor) {
+        const page = this.decodeCursor(cursor, 'search_issues');
+        return await this.searchIssuePage(page);
+      }
+      
+      const projectKey = project || this.defaultProject;
+      
+      let searchMode = mode;
+      if (searchMode === 'auto') {
+        // Only used when the caller does not say what the query is
+        if (filters && Object.keys(filters).length > 0) {
+          searchMode = 'structured';
+        } else {
+          searchMode = query && this.looksLikeJql(query) ? 'jql' : 'text';
         }
       }
+      
+      let jqlQuery;
+      if (searchMode === 'jql') {
+        if (!query) throw new Error('A JQL query is required in mode "jql"');
+        // "me" is the same shorthand structured filters accept for the calling user; quoted literals are left as written
+        jqlQuery = query.split(/("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')/)
+          .map((segment, index) => index % 2 === 1 ? segment : segment.replace(/\b(assignee|reporter|creator|watcher)(\s*!?=\s*)me\b/gi, '$1$2currentUser()'))
+          .join('');
+      } else if (searchMode === 'text') {
+        if (!query) throw new Error('Search keywords are required in mode "text"');
+        // Convert keywords to JQL with project filter
+        const text = this.jqlTextTerm(query);
+        jqlQuery = `project = ${this.jqlLiteral(projectKey)} AND (summary ~ ${text} OR description ~ ${text} OR comment ~ ${text})`;
+      } else if (searchMode === 'structured') {
+        jqlQuery = this.buildStructuredJql(filters || {}, projectKey, query);
+      } else {
+        throw new Error(`Unknown search mode: ${mode}. Use jql, text or structured`);
+      }
+      
+      return await this.searchIssuePage({
+        tool: 'search_issues',
+        query: query || null,
+        mode: searchMode,
+        filters: searchMode === 'structured' ? filters || {} : undefined,
+        jql: jqlQuery,
+        start_at: 0,
+        page_size: maxResults
+      });
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error searching issues: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+
+  looksLikeJql(query) {
+    // A known field compared with an operator ("assignee = me", "cf[10016] > 3", "status not in (...)") or an ORDER BY on one.
+    // Text with an operator in it, such as "value > 5" or "error = timeout", stays a text search.
+    const field = '([A-Za-z][\\w.]*|cf\\[\\d+\\]|"[^"]+")';
+    const candidates = [
+      ...query.matchAll(new RegExp(`(?:^|[\\s(])${field}\\s*(?:!=|!~|>=|<=|=|~|>|<)`, 'gi')),
+      ...query.matchAll(new RegExp(`(?:^|[\\s(])${field}\\s+(?:not\\s+in|in|is\\s+not|is|was\\s+not|was|changed)\\s*(?:\\(|empty\\b|null\\b|"|\\b(?:from|to|by|during|after|before|on)\\b)`, 'gi')),
+      ...query.matchAll(new RegExp(`\\border\\s+by\\s+${field}`, 'gi'))
+    ];
+    return candidates.some(([, name]) => /^cf\[\d+\]$/i.test(name) || name.startsWith('"') || JQL_FIELDS.has(name.toLowerCase()));
+  }
+
+  async searchIssuePage(page) {
+    const data = await this.listIssues(page.jql, page.page_size, page.start_at);
+    const issues = data.issues || [];
+    
+    const searchResults = {
+      query: page.query,
+      mode: page.mode,
+      filters: page.filters,
+      jql_used: page.jql,
+      total_found: data.issues_count,
+      start_at: page.start_at,
+      next_cursor: this.nextCursor(page, issues.length, data.issues_count),
+      results: issues.map(issue => ({
+        key: issue.key,
+        summary: issue.fields.summary,
+        status: issue.fields.status.name,
+        assignee: issue.fields.assignee?.displayName || 'Unassigned',
+        created: issue.fields.created,
+        components: issue.fields.components?.map(c => c.name) || [],
+        description_snippet: issue.fields.description?.substring(0, 200) + '...' || 'No description'
+      }))
+    };
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify(searchResults, null, 2)
+        }
+      ]
+    };
+  }
+
+  async listBoards(limit = 25) {
+    try {
+      const boards = await this.backend.listBoards(limit);
 
       return {
         content: [
@@ -728,8 +2901,7 @@ class JiraServer {
       const validation = await Promise.all(
         this.configuredBoards.map(async (configBoard) => {
           try {
-            const command = `jcli boards show "${configBoard}"`;
-            await this.executeJCLI(command);
+            await this.backend.getBoard(configBoard);
             return {
               board_name: configBoard,
               exists: true,
@@ -816,20 +2988,7 @@ class JiraServer {
         };
       }
       
-      let command = `jcli boards sprints "${actualBoardName}" --json`;
-      
-      if (sprintName) {
-        command += ` --name "${sprintName}"`;
-      }
-      if (showAll) {
-        command += ' --show-all';
-      }
-      if (!includeIssues) {
-        command += ' --no-issues';
-      }
-      
-      const output = await this.executeJCLI(command);
-      const sprints = JSON.parse(output);
+      const sprints = await this.backend.getBoardSprints(actualBoardName, { sprintName, showAll, includeIssues });
       
       const sprintData = {
         board_name: actualBoardName,
@@ -894,13 +3053,7 @@ class JiraServer {
       }
       
       // Get current/active sprints
-      let command = `jcli boards sprints "${actualBoardName}" --json`;
-      if (sprintName) {
-        command += ` --name "${sprintName}"`;
-      }
-      
-      const output = await this.executeJCLI(command);
-      const sprints = JSON.parse(output);
+      const sprints = await this.backend.getBoardSprints(actualBoardName, { sprintName });
       
       if (!sprints || sprints.length === 0) {
         return {
@@ -942,6 +3095,17 @@ class JiraServer {
               done_issues: 0,
               in_progress_issues: 0,
               todo_issues: 0
+            },
+            story_points: {
+              total: 0,
+              done: 0,
+              in_progress: 0,
+              todo: 0,
+              completion_percentage: 0
+            },
+            estimates: {
+              original_hours: 0,
+              remaining_hours: 0
             }
           }
         };
@@ -951,6 +3115,14 @@ class JiraServer {
           let totalIssues = 0;
           let doneIssues = 0;
           
+          // Column entries carry keys only - fetch the issues once for points and estimates
+          const sprintIssues = await this.fetchIssuesByKey(this.sprintIssueKeys(sprint));
+          const issuesByKey = new Map(sprintIssues.map(issue => [issue.key, issue]));
+          const work = this.sumWork(sprintIssues);
+          const points = sprintInsight.progress_metrics.story_points;
+          points.total = work.points;
+          sprintInsight.progress_metrics.estimates = { original_hours: work.original_hours, remaining_hours: work.remaining_hours };
+          
           for (const [columnName, issues] of Object.entries(sprint.columns)) {
             const issueCount = issues.length;
             totalIssues += issueCount;
@@ -960,16 +3132,23 @@ class JiraServer {
               issues: issues.map(issue => typeof issue === 'string' ? { key: issue } : issue)
             };
             
-            // Categorize for velocity calculation
-            const columnLower = columnName.toLowerCase();
-            if (columnLower.includes('done') || columnLower.includes('closed') || columnLower.includes('complete')) {
-              doneIssues += issueCount;
-              sprintInsight.progress_metrics.velocity_indicators.done_issues += issueCount;
-            } else if (columnLower.includes('progress') || columnLower.includes('review') || columnLower.includes('testing')) {
-              sprintInsight.progress_metrics.velocity_indicators.in_progress_issues += issueCount;
-            } else {
-              sprintInsight.progress_metrics.velocity_indicators.todo_issues += issueCount;
-            }
+            // Categorize for velocity calculation - by each issue's status where the backend reports it,
+            // otherwise by the column name
+            issues.forEach(issue => {
+              const category = typeof issue === 'object' && issue.status
+                ? this.statusCategory({ name: issue.status, statusCategory: { key: issue.status_category } })
+                : this.statusCategory(columnName);
+              const fullIssue = issuesByKey.get(typeof issue === 'string' ? issue : issue.key);
+              points[category] += fullIssue ? this.storyPoints(fullIssue) : 0;
+              if (category === 'done') {
+                doneIssues++;
+                sprintInsight.progress_metrics.velocity_indicators.done_issues++;
+              } else if (category === 'in_progress') {
+                sprintInsight.progress_metrics.velocity_indicators.in_progress_issues++;
+              } else {
+                sprintInsight.progress_metrics.velocity_indicators.todo_issues++;
+              }
+            });
 
             // Analyze assignees
             issues.forEach(issue => {
@@ -986,6 +3165,7 @@ class JiraServer {
           sprintInsight.issue_analysis.total_issues = totalIssues;
           sprintInsight.progress_metrics.completion_percentage = 
             totalIssues > 0 ? Math.round((doneIssues / totalIssues) * 100) : 0;
+          points.completion_percentage = points.total > 0 ? Math.round((points.done / points.total) * 100) : 0;
         }
 
         insights.push(sprintInsight);
@@ -997,13 +3177,686 @@ class JiraServer {
             type: 'text',
             text: JSON.stringify({
               board_name: actualBoardName,
-              original_board_request: boardName !== actualBoardName ? boardName : null,
-              analysis_timestamp: new Date().toISOString(),
-              sprint_insights: insights,
+              original_board_request: boardName !== actualBoardName ? boardName : null,
+              analysis_timestamp: new Date().toISOString(),
+              sprint_insights: insights,
+              summary: {
+                total_sprints_analyzed: insights.length,
+                active_sprints: insights.filter(i => i.sprint_info.state === 'active').length
+              }
+            }, null, 2)
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error getting sprint insights for ${actualBoardName || boardName}: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+
+  resolveBoardName(boardName) {
+    return boardName || this.configuredBoards[0] || null;
+  }
+
+  noBoardError() {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            error: 'No board specified and no boards configured',
+            suggestion: 'Either provide a board_name parameter or configure JIRA_BOARDS in .env',
+            help: 'Use list_boards or list_configured_boards to see available options'
+          }, null, 2)
+        }
+      ],
+      isError: true
+    };
+  }
+
+  async findSprint(boardName, sprintName) {
+    const sprints = await this.backend.getBoardSprints(boardName, { sprintName, showAll: Boolean(sprintName) });
+    
+    const sprint = sprintName
+      ? sprints.find(s => s.name.toLowerCase() === sprintName.toLowerCase()) || sprints[0]
+      : sprints.find(s => s.state === 'active') || sprints[0];
+    if (!sprint) {
+      throw new Error(`No ${sprintName ? `sprint matching "${sprintName}"` : 'active sprint'} found on board ${boardName}`);
+    }
+    return sprint;
+  }
+
+  sprintIssueKeys(sprint) {
+    return Object.values(sprint.columns || {}).flat().map(issue => typeof issue === 'string' ? issue : issue.key);
+  }
+
+  async loadSprintIssues(boardName, sprints) {
+    if (sprints.length === 0) return [];
+    
+    // Callers list sprints without issues and pick the few they need; only those are fetched with issues
+    const loaded = await this.backend.getBoardSprints(boardName, { showAll: true, sprintIds: sprints.map(sprint => sprint.id) });
+    return sprints.map(sprint => loaded.find(s => s.id === sprint.id) || sprint);
+  }
+
+  async fetchIssuesByKey(issueKeys, withChangelog = false) {
+    if (issueKeys.length === 0) return [];
+    
+    const keys = [...new Set(issueKeys)].map(key => this.assertIssueKey(key));
+    const jql = `key in (${keys.join(', ')})`;
+    const data = withChangelog ? await this.listIssuesWithChangelog(jql, keys.length) : await this.listIssues(jql, keys.length);
+    return data.issues || [];
+  }
+
+  async fetchIssuesWithChangelog(issueKeys) {
+    return this.fetchIssuesByKey(issueKeys, true);
+  }
+
+  storyPoints(issue) {
+    if (!this.storyPointsField) return 0;
+    
+    const value = Number(issue.fields[this.storyPointsField]);
+    return Number.isFinite(value) ? value : 0;
+  }
+
+  async detectStoryPointsField() {
+    const profile = this.profile;
+    if (profile.storyPointsField || profile.detectedStoryPointsField !== undefined) return;
+    
+    // Looked up once per profile; concurrent first calls share the request, and a failed lookup is retried next call
+    profile.storyPointsFieldLookup = profile.storyPointsFieldLookup || (async () => {
+      try {
+        const fields = (await profile.backend.getFields()) || [];
+        const byName = name => fields.find(field => field.custom !== false && String(field.name).toLowerCase() === name.toLowerCase());
+        const match = STORY_POINT_FIELD_NAMES.map(byName).find(field => field);
+        profile.detectedStoryPointsField = match?.id || null;
+      } catch (error) {
+        console.error(`Story points field detection failed for profile ${profile.name}: ${error.message}`);
+      } finally {
+        profile.storyPointsFieldLookup = null;
+      }
+    })();
+    await profile.storyPointsFieldLookup;
+  }
+
+  issueEstimates(issue) {
+    // JIRA reports time tracking in seconds
+    const hours = seconds => typeof seconds === 'number' ? Math.round((seconds / 3600) * 10) / 10 : 0;
+    return {
+      original_hours: hours(issue.fields.timeoriginalestimate),
+      remaining_hours: hours(issue.fields.timeestimate),
+      spent_hours: hours(issue.fields.timespent)
+    };
+  }
+
+  sumWork(issues) {
+    return issues.reduce((totals, issue) => {
+      const estimates = this.issueEstimates(issue);
+      totals.points += this.storyPoints(issue);
+      totals.original_hours = Math.round((totals.original_hours + estimates.original_hours) * 10) / 10;
+      totals.remaining_hours = Math.round((totals.remaining_hours + estimates.remaining_hours) * 10) / 10;
+      return totals;
+    }, { points: 0, original_hours: 0, remaining_hours: 0 });
+  }
+
+  learnStatusCategories(issues) {
+    // Changelogs only carry status names; the issues' current statuses tell us their JIRA categories
+    const learned = new Map();
+    issues.forEach(issue => {
+      if (issue.fields.status?.name) {
+        learned.set(issue.fields.status.name.toLowerCase(), this.statusCategory(issue.fields.status));
+      }
+    });
+    return learned;
+  }
+
+  statusHistory(issue, learned) {
+    const transitions = (issue.changelog?.histories || [])
+      .flatMap(history => (history.items || [])
+        .filter(item => item.field === 'status')
+        .map(item => ({ at: new Date(history.created), from: item.fromString, to: item.toString })))
+      .sort((a, b) => a.at - b.at);
+    
+    const categoryOf = name => learned.get((name || '').toLowerCase()) || this.statusCategory(name);
+    
+    // One period per status the issue has been in; the current period has no end
+    const periods = [];
+    let status = transitions[0]?.from || issue.fields.status.name;
+    let start = new Date(issue.fields.created);
+    transitions.forEach(transition => {
+      periods.push({ status, category: categoryOf(status), start, end: transition.at });
+      status = transition.to;
+      start = transition.at;
+    });
+    periods.push({ status, category: categoryOf(status), start, end: null });
+    
+    return periods;
+  }
+
+  categoryAt(periods, time) {
+    const period = periods.find(p => p.start <= time && (!p.end || time < p.end));
+    return period ? period.category : null;
+  }
+
+  sprintChanges(issue, sprint) {
+    // Sprint field values list every sprint the issue is in; prefer ids, fall back to names
+    const includesSprint = (ids, names) => ids
+      ? ids.split(',').map(id => id.trim()).includes(String(sprint.id))
+      : (names || '').split(',').map(name => name.trim()).includes(sprint.name);
+    
+    const changes = [];
+    (issue.changelog?.histories || []).forEach(history => {
+      (history.items || []).filter(item => (item.field || '').toLowerCase() === 'sprint').forEach(item => {
+        const before = includesSprint(item.from, item.fromString);
+        const after = includesSprint(item.to, item.toString);
+        if (before !== after) {
+          changes.push({ at: new Date(history.created), action: after ? 'added' : 'removed', author: history.author?.displayName || 'Unknown' });
+        }
+      });
+    });
+    return changes.sort((a, b) => a.at - b.at);
+  }
+
+  async loadSprintMembers(sprint) {
+    const currentKeys = this.sprintIssueKeys(sprint);
+    const current = await this.fetchIssuesWithChangelog(currentKeys);
+    
+    // Issues taken out of the sprint are no longer on it - find them through their sprint-field history
+    const projects = [...new Set(currentKeys.map(key => key.split('-')[0]))];
+    const candidates = [];
+    let truncated = false;
+    if (projects.length > 0 && sprint.start_date_str) {
+      const jql = `project in (${projects.map(p => this.jqlLiteral(p)).join(', ')}) AND updated >= ${this.jqlLiteral(sprint.start_date_str)} ORDER BY updated DESC`;
+      let total = 0;
+      do {
+        const data = await this.listIssuesWithChangelog(jql, 500, candidates.length);
+        const page = data.issues || [];
+        total = data.issues_count ?? candidates.length + page.length;
+        candidates.push(...page);
+        if (page.length === 0) break;
+      } while (candidates.length < total && candidates.length < SPRINT_REMOVAL_SCAN_LIMIT);
+      truncated = candidates.length < total;
+    }
+    const removed = candidates.filter(issue => !currentKeys.includes(issue.key) && this.sprintChanges(issue, sprint).length > 0);
+    
+    const members = [...current, ...removed].map(issue => {
+      const currentlyIn = currentKeys.includes(issue.key);
+      const created = new Date(issue.fields.created);
+      let changes = this.sprintChanges(issue, sprint);
+      
+      // Issues created straight into the sprint have no sprint-field change to show for it
+      if (changes.length === 0 && currentlyIn) {
+        changes = [{ at: created, action: 'added', author: issue.fields.reporter?.displayName || 'Unknown', on_create: true }];
+      }
+      return { issue, points: this.storyPoints(issue), currentlyIn, created, changes };
+    });
+    
+    // Past the scan limit, issues removed early in the sprint can be missed - callers say so in their output
+    const notes = truncated
+      ? [`Only the ${SPRINT_REMOVAL_SCAN_LIMIT} most recently updated issues were checked for removal from the sprint; earlier removals may be missing`]
+      : [];
+    return { members, notes };
+  }
+
+  inSprintAt(member, time) {
+    if (member.created > time) return false;
+    
+    const past = member.changes.filter(change => change.at <= time);
+    if (past.length > 0) return past[past.length - 1].action === 'added';
+    if (member.changes.length > 0) return member.changes[0].action === 'removed';
+    return member.currentlyIn;
+  }
+
+  sprintScopeWindow(sprint) {
+    const dayMs = 1000 * 60 * 60 * 24;
+    const start = new Date(`${sprint.start_date_str}T00:00:00Z`);
+    
+    // Sprint dates have day precision, so anything added on the start day counts as planned
+    return {
+      start: start,
+      committedBy: new Date(start.getTime() + dayMs),
+      end: sprint.end_date_str ? new Date(new Date(`${sprint.end_date_str}T00:00:00Z`).getTime() + dayMs) : new Date()
+    };
+  }
+
+  async getSprintScopeChanges(boardName, sprintName) {
+    try {
+      const actualBoardName = this.resolveBoardName(boardName);
+      if (!actualBoardName) {
+        return this.noBoardError();
+      }
+      
+      const sprint = await this.findSprint(actualBoardName, sprintName);
+      if (!sprint.start_date_str) {
+        throw new Error(`Sprint ${sprint.name} has no start date yet`);
+      }
+      
+      const { members, notes } = await this.loadSprintMembers(sprint);
+      const window = this.sprintScopeWindow(sprint);
+      
+      const committed = members.filter(m => this.inSprintAt(m, window.committedBy));
+      const events = members.flatMap(m => m.changes
+        .filter(change => change.at >= window.committedBy && change.at < window.end)
+        .map(change => ({
+          key: m.issue.key,
+          summary: m.issue.fields.summary,
+          action: change.action,
+          at: change.at.toISOString(),
+          by: change.author,
+          on_create: change.on_create === true,
+          story_points: m.points,
+          current_status: m.issue.fields.status.name,
+          still_in_sprint: m.currentlyIn
+        })))
+        .sort((a, b) => a.at.localeCompare(b.at));
+      
+      const added = events.filter(e => e.action === 'added');
+      const removed = events.filter(e => e.action === 'removed');
+      const committedPoints = committed.reduce((sum, m) => sum + m.points, 0);
+      const addedPoints = added.reduce((sum, e) => sum + e.story_points, 0);
+      const removedPoints = removed.reduce((sum, e) => sum + e.story_points, 0);
+      
+      const creepPercentage = committed.length > 0 ? Math.round((added.length / committed.length) * 100) : (added.length > 0 ? 100 : 0);
+      const creepPointsPercentage = committedPoints > 0 ? Math.round((addedPoints / committedPoints) * 100) : null;
+      
+      const byPerson = {};
+      added.forEach(e => {
+        byPerson[e.by] = byPerson[e.by] || { added_issues: 0, added_points: 0, issues: [] };
+        byPerson[e.by].added_issues++;
+        byPerson[e.by].added_points += e.story_points;
+        byPerson[e.by].issues.push(e.key);
+      });
+      
+      const creep = Math.max(creepPercentage, creepPointsPercentage || 0);
+      const riskLevel = creep > 20 ? 'HIGH' : creep > 10 ? 'MEDIUM' : 'LOW';
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              board_name: actualBoardName,
+              sprint: {
+                id: sprint.id,
+                name: sprint.name,
+                state: sprint.state,
+                start_date: sprint.start_date_str,
+                end_date: sprint.end_date_str
+              },
+              committed_scope: {
+                issues: committed.length,
+                points: committedPoints
+              },
+              scope_change: {
+                added_issues: added.length,
+                added_points: addedPoints,
+                removed_issues: removed.length,
+                removed_points: removedPoints,
+                net_issues: added.length - removed.length,
+                net_points: addedPoints - removedPoints,
+                scope_creep_percentage: creepPercentage,
+                scope_creep_points_percentage: creepPointsPercentage,
+                risk_level: riskLevel
+              },
+              added_by: byPerson,
+              added: added,
+              removed: removed,
+              notes: notes,
+              generated_at: new Date().toISOString()
+            }, null, 2)
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error detecting sprint scope changes: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+
+  async getSprintCarryover(boardName, sprintCount = 6, minSprints = 2) {
+    try {
+      const actualBoardName = this.resolveBoardName(boardName);
+      if (!actualBoardName) {
+        return this.noBoardError();
+      }
+      
+      // Closed and active sprints in chronological order; future sprints haven't carried anything yet
+      const started = (await this.backend.getBoardSprints(actualBoardName, { showAll: true, includeIssues: false }))
+        .filter(sprint => sprint.state !== 'future' && sprint.start_date_str)
+        .sort((a, b) => a.start_date_str.localeCompare(b.start_date_str))
+        .slice(-sprintCount);
+      
+      if (started.length === 0) {
+        throw new Error(`No started sprints found on board ${actualBoardName}`);
+      }
+      const sprints = await this.loadSprintIssues(actualBoardName, started);
+      
+      const sprintIndexes = new Map();
+      sprints.forEach((sprint, index) => {
+        this.sprintIssueKeys(sprint).forEach(key => {
+          sprintIndexes.set(key, [...(sprintIndexes.get(key) || []), index]);
+        });
+      });
+      
+      // Longest run of back-to-back sprints, ending with the latest sprint the issue was in
+      const streaks = [];
+      sprintIndexes.forEach((indexes, key) => {
+        const sorted = [...new Set(indexes)].sort((a, b) => a - b);
+        let length = 1;
+        for (let i = sorted.length - 1; i > 0 && sorted[i] - sorted[i - 1] === 1; i--) {
+          length++;
+        }
+        if (length >= minSprints) {
+          streaks.push({ key, sprints: sorted.slice(-length).map(index => sprints[index]) });
+        }
+      });
+      
+      const issues = await this.fetchIssuesByKey(streaks.map(s => s.key));
+      const byKey = new Map(issues.map(issue => [issue.key, issue]));
+      
+      const carryovers = streaks
+        .map(({ key, sprints: streak }) => ({ issue: byKey.get(key), streak }))
+        .filter(({ issue }) => issue && this.issueStatusCategory(issue) !== 'done')
+        .map(({ issue, streak }) => ({
+          key: issue.key,
+          summary: issue.fields.summary,
+          assignee: issue.fields.assignee?.displayName || 'Unassigned',
+          status: issue.fields.status.name,
+          status_category: this.issueStatusCategory(issue),
+          story_points: this.storyPoints(issue),
+          consecutive_sprints: streak.length,
+          times_carried_over: streak.length - 1,
+          sprints: streak.map(sprint => sprint.name),
+          in_latest_sprint: streak[streak.length - 1] === sprints[sprints.length - 1],
+          chronic: streak.length >= 3
+        }))
+        .sort((a, b) => b.consecutive_sprints - a.consecutive_sprints);
+      
+      const byAssignee = {};
+      carryovers.forEach(c => {
+        byAssignee[c.assignee] = (byAssignee[c.assignee] || 0) + 1;
+      });
+      
+      const latestKeys = this.sprintIssueKeys(sprints[sprints.length - 1]);
+      const latestCarried = carryovers.filter(c => c.in_latest_sprint).length;
+      
+      const recommendations = [];
+      const chronic = carryovers.filter(c => c.chronic);
+      if (chronic.length > 0) {
+        recommendations.push(`Split or re-plan chronic spillover (3+ sprints): ${chronic.slice(0, 5).map(c => c.key).join(', ')}`);
+      }
+      if (latestKeys.length > 0 && latestCarried / latestKeys.length > 0.2) {
+        recommendations.push(`${Math.round((latestCarried / latestKeys.length) * 100)}% of ${sprints[sprints.length - 1].name} is carried-over work - commit to less new work next sprint`);
+      }
+      if (carryovers.filter(c => c.assignee === 'Unassigned').length > 0) {
+        recommendations.push('Unassigned issues keep rolling over - assign an owner or move them back to the backlog');
+      }
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              board_name: actualBoardName,
+              sprints_analyzed: sprints.map(sprint => ({ name: sprint.name, state: sprint.state, start_date: sprint.start_date_str, end_date: sprint.end_date_str })),
+              min_consecutive_sprints: minSprints,
+              carryover_issues: carryovers,
+              summary: {
+                total_carryover_issues: carryovers.length,
+                chronic_spillover_issues: chronic.length,
+                carried_points: carryovers.reduce((sum, c) => sum + c.story_points, 0),
+                latest_sprint_carryover_percentage: latestKeys.length > 0 ? Math.round((latestCarried / latestKeys.length) * 100) : 0,
+                by_assignee: byAssignee
+              },
+              recommendations: recommendations,
+              generated_at: new Date().toISOString()
+            }, null, 2)
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error analyzing sprint carry-over: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+
+  async getSprintBurndown(boardName, sprintName, unit = 'issues') {
+    try {
+      const actualBoardName = this.resolveBoardName(boardName);
+      if (!actualBoardName) {
+        return this.noBoardError();
+      }
+      if (!['issues', 'points'].includes(unit)) {
+        throw new Error(`Invalid unit "${unit}" (expected "issues" or "points")`);
+      }
+      if (unit === 'points' && !this.storyPointsField) {
+        throw new Error(`No story points field found for profile ${this.profile.name} - set story_points_field (JIRA_STORY_POINTS_FIELD) to the custom field id`);
+      }
+      
+      const sprint = await this.findSprint(actualBoardName, sprintName);
+      if (!sprint.start_date_str) {
+        throw new Error(`Sprint ${sprint.name} has no start date yet`);
+      }
+      
+      const { members, notes } = await this.loadSprintMembers(sprint);
+      const learned = this.learnStatusCategories(members.map(m => m.issue));
+      members.forEach(m => {
+        m.periods = this.statusHistory(m.issue, learned);
+      });
+      
+      const now = new Date();
+      const dayMs = 1000 * 60 * 60 * 24;
+      const start = new Date(`${sprint.start_date_str}T00:00:00Z`);
+      const end = sprint.end_date_str ? new Date(`${sprint.end_date_str}T00:00:00Z`) : now;
+      const dayCount = Math.max(1, Math.floor((end - start) / dayMs) + 1);
+      
+      // The ideal line burns down what was committed; work added later shows up in the scope line
+      const committed = members.filter(m => this.inSprintAt(m, this.sprintScopeWindow(sprint).committedBy));
+      const scope = {
+        issues: committed.length,
+        points: committed.reduce((sum, m) => sum + m.points, 0)
+      };
+      
+      const days = [];
+      for (let i = 0; i < dayCount; i++) {
+        const date = new Date(start.getTime() + i * dayMs);
+        const ideal = scope[unit] * (1 - i / Math.max(1, dayCount - 1));
+        const day = {
+          date: date.toISOString().split('T')[0],
+          ideal_remaining: Math.round(ideal * 10) / 10,
+          remaining_issues: null,
+          remaining_points: null,
+          completed_issues: null,
+          completed_points: null,
+          scope_issues: null,
+          scope_points: null
+        };
+        
+        // Days that haven't happened yet only carry the ideal line
+        if (date <= now) {
+          const dayEnd = new Date(Math.min(date.getTime() + dayMs, now.getTime()));
+          const inScope = members.filter(m => this.inSprintAt(m, dayEnd));
+          const done = inScope.filter(m => this.categoryAt(m.periods, dayEnd) === 'done');
+          day.scope_issues = inScope.length;
+          day.scope_points = inScope.reduce((sum, m) => sum + m.points, 0);
+          day.completed_issues = done.length;
+          day.completed_points = done.reduce((sum, m) => sum + m.points, 0);
+          day.remaining_issues = day.scope_issues - day.completed_issues;
+          day.remaining_points = day.scope_points - day.completed_points;
+        }
+        days.push(day);
+      }
+      
+      const latest = [...days].reverse().find(d => d.remaining_issues !== null);
+      const actual = latest ? latest[`remaining_${unit}`] : scope[unit];
+      const idealNow = latest ? latest.ideal_remaining : scope[unit];
+      const tolerance = scope[unit] * 0.1;
+      const assessment = actual < idealNow - tolerance ? 'AHEAD' : actual > idealNow + tolerance ? 'BEHIND' : 'ON_TRACK';
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              board_name: actualBoardName,
+              sprint: {
+                id: sprint.id,
+                name: sprint.name,
+                state: sprint.state,
+                start_date: sprint.start_date_str,
+                end_date: sprint.end_date_str
+              },
+              unit: unit,
+              scope: scope,
+              days: days,
+              status: {
+                as_of: latest?.date || null,
+                actual_remaining: actual,
+                ideal_remaining: idealNow,
+                variance: Math.round((actual - idealNow) * 10) / 10,
+                assessment: assessment,
+                summary: assessment === 'ON_TRACK'
+                  ? `On plan: ${actual} ${unit} remaining vs ${idealNow} ideal`
+                  : `${assessment === 'AHEAD' ? 'Ahead of' : 'Behind'} plan by ${Math.abs(Math.round((actual - idealNow) * 10) / 10)} ${unit}`
+              },
+              notes: notes,
+              generated_at: new Date().toISOString()
+            }, null, 2)
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error building sprint burndown: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+
+  async getSprintVelocity(boardName, sprintCount = 6) {
+    try {
+      const actualBoardName = this.resolveBoardName(boardName);
+      if (!actualBoardName) {
+        return this.noBoardError();
+      }
+      
+      const closed = (await this.backend.getBoardSprints(actualBoardName, { showAll: true, includeIssues: false }))
+        .filter(sprint => sprint.state === 'closed' && sprint.start_date_str)
+        .sort((a, b) => b.start_date_str.localeCompare(a.start_date_str))
+        .slice(0, sprintCount)
+        .reverse();
+      
+      if (closed.length === 0) {
+        throw new Error(`No closed sprints found on board ${actualBoardName}`);
+      }
+      const sprints = await this.loadSprintIssues(actualBoardName, closed);
+      
+      // A sprint's issues are the ones left in it at close; the scope window recovers what was planned at the start
+      const history = [];
+      const notes = [];
+      for (const sprint of sprints) {
+        const loaded = await this.loadSprintMembers(sprint);
+        notes.push(...loaded.notes.map(note => `${sprint.name}: ${note}`));
+        const learned = this.learnStatusCategories(loaded.members.map(m => m.issue));
+        const members = loaded.members.map(m => ({ ...m, periods: this.statusHistory(m.issue, learned) }));
+        
+        const sprintEnd = new Date(`${sprint.complete_date_str || sprint.end_date_str || sprint.start_date_str}T00:00:00Z`);
+        sprintEnd.setUTCDate(sprintEnd.getUTCDate() + 1);
+        
+        // Like JIRA's velocity chart: planned work is what was in at the start, completed work what was done at the close
+        const committed = members.filter(m => this.inSprintAt(m, this.sprintScopeWindow(sprint).committedBy));
+        const atClose = members.filter(m => this.inSprintAt(m, sprintEnd));
+        const completed = atClose.filter(m => this.categoryAt(m.periods, sprintEnd) === 'done');
+        const committedPoints = committed.reduce((sum, m) => sum + m.points, 0);
+        const completedPoints = completed.reduce((sum, m) => sum + m.points, 0);
+        
+        history.push({
+          sprint: sprint.name,
+          id: sprint.id,
+          start_date: sprint.start_date_str,
+          end_date: sprint.end_date_str,
+          committed_issues: committed.length,
+          completed_issues: completed.length,
+          committed_points: committedPoints,
+          completed_points: completedPoints,
+          added_issues: atClose.filter(m => !committed.includes(m)).length,
+          removed_issues: committed.filter(m => !atClose.includes(m)).length,
+          completion_rate: committed.length > 0 ? Math.round((completed.length / committed.length) * 100) : 0
+        });
+      }
+      
+      // Points drive planning when the team estimates; otherwise fall back to issue counts
+      const unit = history.some(h => h.committed_points > 0) ? 'points' : 'issues';
+      const completedSeries = history.map(h => h[`completed_${unit}`]);
+      
+      history.forEach((h, index) => {
+        const window = completedSeries.slice(Math.max(0, index - 2), index + 1);
+        h.rolling_average = Math.round((window.reduce((a, b) => a + b, 0) / window.length) * 10) / 10;
+      });
+      
+      const mean = completedSeries.reduce((a, b) => a + b, 0) / completedSeries.length;
+      const stdDev = Math.sqrt(completedSeries.reduce((sum, v) => sum + (v - mean) ** 2, 0) / completedSeries.length);
+      
+      // Least-squares slope per sprint, judged relative to the average so small teams aren't over-flagged
+      const xMean = (completedSeries.length - 1) / 2;
+      const denominator = completedSeries.reduce((sum, v, i) => sum + (i - xMean) ** 2, 0);
+      const slope = denominator > 0
+        ? completedSeries.reduce((sum, v, i) => sum + (i - xMean) * (v - mean), 0) / denominator
+        : 0;
+      const relativeSlope = mean > 0 ? slope / mean : 0;
+      const trend = completedSeries.length < 3 ? 'INSUFFICIENT_DATA'
+        : relativeSlope > 0.05 ? 'INCREASING'
+        : relativeSlope < -0.05 ? 'DECREASING'
+        : 'STABLE';
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              board_name: actualBoardName,
+              sprints_analyzed: history.length,
+              unit: unit,
+              sprints: history,
               summary: {
-                total_sprints_analyzed: insights.length,
-                active_sprints: insights.filter(i => i.sprint_info.state === 'active').length
-              }
+                average_completed: Math.round(mean * 10) / 10,
+                standard_deviation: Math.round(stdDev * 10) / 10,
+                average_committed: Math.round((history.reduce((sum, h) => sum + h[`committed_${unit}`], 0) / history.length) * 10) / 10,
+                trend: trend,
+                trend_per_sprint: Math.round(slope * 10) / 10,
+                planning_range: {
+                  low: Math.max(0, Math.round((mean - stdDev) * 10) / 10),
+                  high: Math.round((mean + stdDev) * 10) / 10
+                },
+                recommendation: `Plan around ${Math.round(mean * 10) / 10} ${unit} per sprint (typical range ${Math.max(0, Math.round((mean - stdDev) * 10) / 10)}-${Math.round((mean + stdDev) * 10) / 10})`
+              },
+              notes: notes,
+              generated_at: new Date().toISOString()
             }, null, 2)
           }
         ]
@@ -1013,7 +3866,7 @@ class JiraServer {
         content: [
           {
             type: 'text',
-            text: `Error getting sprint insights for ${actualBoardName || boardName}: ${error.message}`
+            text: `Error calculating sprint velocity: ${error.message}`
           }
         ],
         isError: true
@@ -1024,9 +3877,7 @@ class JiraServer {
   async analyzeDuplicates(issueKey, project) {
     try {
       // Get the issue details first
-      const issueCommand = `jcli issues show ${issueKey} --raw --json`;
-      const issueOutput = await this.executeJCLI(issueCommand);
-      const issueData = JSON.parse(issueOutput)[0];
+      const issueData = await this.fetchIssue(issueKey);
       
       // Extract keywords for similarity search
       const summary = issueData.fields.summary;
@@ -1043,9 +3894,8 @@ class JiraServer {
         projectKey = issueKey.split('-')[0]; // Extract project from issue key like FDP-1510
       }
       
-      const searchCommand = `jcli issues list --jql "project = ${projectKey} AND key != ${issueKey} AND (summary ~ \\"${searchQuery}\\" OR description ~ \\"${searchQuery}\\") ORDER BY created DESC" --max-issues 10 --output json --summary-len 0`;
-      const searchOutput = await this.executeJCLI(searchCommand);
-      const searchData = JSON.parse(searchOutput);
+      const text = this.jqlTextTerm(searchQuery);
+      const searchData = await this.listIssues(`project = ${this.jqlLiteral(projectKey)} AND key != ${this.jqlLiteral(issueKey)} AND (summary ~ ${text} OR description ~ ${text}) ORDER BY created DESC`, 10);
       
       // Analyze similarity
       const potentialDuplicates = searchData.issues?.map(issue => ({
@@ -1102,13 +3952,107 @@ class JiraServer {
     }
   }
 
+  async createLink(issueKey, targetKey, linkType) {
+    const link = this.resolveLinkType(linkType);
+    
+    // Links read as "<outward issue> <outward description> <inward issue>"
+    const [outwardKey, inwardKey] = link.reversed ? [targetKey, issueKey] : [issueKey, targetKey];
+    await this.backend.linkIssues(this.assertIssueKey(outwardKey), this.assertIssueKey(inwardKey), link.type);
+    
+    return {
+      link_type: link.type,
+      outward_issue: outwardKey,
+      inward_issue: inwardKey,
+      description: `${issueKey} ${linkType} ${targetKey}`
+    };
+  }
+
+  async linkIssues(issueKey, targetKey, linkType = 'relates to') {
+    try {
+      const link = await this.createLink(issueKey, targetKey, linkType);
+      const issue = await this.fetchIssue(issueKey);
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              linked: true,
+              link: link,
+              links: this.formatIssueDetails(issue).links,
+              query_timestamp: new Date().toISOString()
+            }, null, 2)
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error linking ${issueKey} to ${targetKey}: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+
+  async resolveAsDuplicate(issueKey, originalKey, resolution = 'Duplicate') {
+    try {
+      const duplicate = await this.fetchIssue(issueKey);
+      const original = await this.fetchIssue(originalKey);
+      
+      // Same score analyze_duplicates reports, so the comment matches what the reviewer saw
+      const similarity = Math.round(this.calculateSimilarity(duplicate.fields.summary, original.fields.summary) * 100) / 100;
+      
+      // Match the transition before writing anything, so a workflow without one leaves no stray link
+      const match = await this.findTransition(issueKey, ['duplicate', 'resolve', 'close', 'done']);
+      const link = await this.createLink(issueKey, originalKey, 'duplicates');
+      
+      const comment = `Closing as a duplicate of ${originalKey} ("${original.fields.summary}"). Summary similarity score: ${similarity}.`;
+      const { before, after, transition } = await this.applyTransition(issueKey, match, resolution, comment);
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              issue_key: issueKey,
+              original_key: originalKey,
+              similarity_score: similarity,
+              link: link,
+              transition_applied: transition,
+              status_change: {
+                before: before.fields.status.name,
+                after: after.fields.status.name
+              },
+              resolution: after.fields.resolution?.name || resolution,
+              comment: comment,
+              issue: this.formatIssueDetails(after),
+              query_timestamp: new Date().toISOString()
+            }, null, 2)
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error resolving ${issueKey} as duplicate of ${originalKey}: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+
   async getComponentExperts(component, project) {
     try {
       // Search for issues with this component
       const projectKey = project || this.defaultProject;
-      const command = `jcli issues list --jql "project = ${projectKey} AND component = \\"${component}\\"" --max-issues 50 --output json --summary-len 0`;
-      const output = await this.executeJCLI(command);
-      const data = JSON.parse(output);
+      const data = await this.listIssues(`project = ${this.jqlLiteral(projectKey)} AND component = ${this.jqlLiteral(component)}`, 50);
       
       // Analyze assignee patterns
       const assigneeStats = {};
@@ -1119,6 +4063,7 @@ class JiraServer {
           if (!assigneeStats[assignee]) {
             assigneeStats[assignee] = {
               name: assignee,
+              username: issue.fields.assignee.name || issue.fields.assignee.accountId || null,
               total_issues: 0,
               closed_issues: 0,
               open_issues: 0,
@@ -1127,7 +4072,7 @@ class JiraServer {
           }
           
           assigneeStats[assignee].total_issues++;
-          if (issue.fields.status.name === 'Closed' || issue.fields.status.name === 'Done') {
+          if (this.issueStatusCategory(issue) === 'done') {
             assigneeStats[assignee].closed_issues++;
           } else {
             assigneeStats[assignee].open_issues++;
@@ -1254,7 +4199,290 @@ class JiraServer {
     }
   }
 
+  async assignIssue(issueKey, assignee, component) {
+    try {
+      const before = await this.fetchIssue(issueKey);
+      let selection = null;
+      let targetUser = assignee;
+      
+      if (assignee.toLowerCase() === 'auto') {
+        const componentName = component || before.fields.components?.[0]?.name;
+        if (!componentName) {
+          throw new Error(`${issueKey} has no component to rank experts for - pass a component or an explicit assignee`);
+        }
+        
+        const projectKey = issueKey.split('-')[0];
+        const expertResult = await this.getComponentExperts(componentName, projectKey);
+        if (expertResult.isError) {
+          throw new Error(expertResult.content[0].text);
+        }
+        const expertAnalysis = JSON.parse(expertResult.content[0].text);
+        
+        // Current load across the project, so a busy expert does not keep absorbing new work
+        const openData = await this.listIssues(`project = ${this.jqlLiteral(projectKey)} AND assignee is not EMPTY AND ${this.openStatusJql()}`);
+        const workload = this.analyzeUserWorkload(openData.issues || [], [], null);
+        
+        selection = this.rankAssigneeCandidates(expertAnalysis.experts, workload.users);
+        if (!selection.chosen) {
+          throw new Error(`No component experts found for ${componentName} in ${projectKey}`);
+        }
+        selection.component = componentName;
+        targetUser = selection.chosen.username || selection.chosen.name;
+      }
+      
+      await this.backend.assignIssue(this.assertIssueKey(issueKey), targetUser);
+      
+      const after = await this.fetchIssue(issueKey);
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              issue_key: issueKey,
+              mode: selection ? 'auto' : 'explicit',
+              previous_assignee: before.fields.assignee?.displayName || 'Unassigned',
+              assignee: after.fields.assignee?.displayName || targetUser,
+              selection: selection,
+              issue: this.formatIssueDetails(after),
+              query_timestamp: new Date().toISOString()
+            }, null, 2)
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error assigning ${issueKey}: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+
+  async bulkUpdate(jql, changes, confirmationToken, maxIssues = 50) {
+    try {
+      const normalizedChanges = this.normalizeBulkChanges(changes);
+      
+      if (!confirmationToken) {
+        return await this.previewBulkUpdate(jql, normalizedChanges, Math.min(maxIssues, 200));
+      }
+      
+      const pending = this.pendingBulkUpdates.get(confirmationToken);
+      if (!pending || pending.expires_at < Date.now()) {
+        this.pendingBulkUpdates.delete(confirmationToken);
+        throw new Error('Confirmation token is unknown or has expired - run bulk_update without a token to get a fresh preview');
+      }
+      if (pending.jql !== jql || JSON.stringify(pending.changes) !== JSON.stringify(normalizedChanges)) {
+        throw new Error('JQL or changes differ from the previewed request - run bulk_update without a token to preview the new request');
+      }
+      if (pending.profile !== this.profile.name) {
+        throw new Error(`Confirmation token was issued for profile "${pending.profile}" - pass the same profile to apply it`);
+      }
+      
+      // Tokens are single use; apply exactly the issues the preview showed
+      this.pendingBulkUpdates.delete(confirmationToken);
+      
+      const results = [];
+      for (const preview of pending.previews) {
+        try {
+          await this.backend.updateIssue(this.assertIssueKey(preview.key), normalizedChanges);
+          results.push({ key: preview.key, success: true, changes: preview.changes });
+        } catch (error) {
+          results.push({ key: preview.key, success: false, error: error.message });
+        }
+      }
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              mode: 'applied',
+              jql: jql,
+              changes: normalizedChanges,
+              summary: {
+                attempted: results.length,
+                succeeded: results.filter(r => r.success).length,
+                failed: results.filter(r => !r.success).length
+              },
+              results: results,
+              query_timestamp: new Date().toISOString()
+            }, null, 2)
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error running bulk update: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+
+  async previewBulkUpdate(jql, changes, maxIssues) {
+    const data = await this.listIssues(jql, maxIssues);
+    const issues = data.issues || [];
+    
+    const previews = issues.map(issue => ({
+      key: issue.key,
+      summary: issue.fields.summary,
+      changes: this.diffBulkChanges(issue, changes)
+    }));
+    const effective = previews.filter(p => Object.keys(p.changes).length > 0);
+    
+    // Drop expired previews so abandoned dry runs don't accumulate
+    const now = Date.now();
+    for (const [token, pending] of this.pendingBulkUpdates) {
+      if (pending.expires_at < now) this.pendingBulkUpdates.delete(token);
+    }
+    
+    const token = effective.length > 0 ? randomUUID() : null;
+    if (token) {
+      this.pendingBulkUpdates.set(token, {
+        jql: jql,
+        changes: changes,
+        previews: effective,
+        profile: this.profile.name,
+        expires_at: now + 15 * 60 * 1000
+      });
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            mode: 'dry_run',
+            jql: jql,
+            changes: changes,
+            total_matching: data.issues_count ?? issues.length,
+            issues_in_preview: issues.length,
+            issues_to_change: effective.length,
+            unchanged_issues: previews.filter(p => Object.keys(p.changes).length === 0).map(p => p.key),
+            diff: effective,
+            confirmation_token: token,
+            token_expires_at: token ? new Date(now + 15 * 60 * 1000).toISOString() : null,
+            next_step: token
+              ? 'Review the diff, then call bulk_update again with the same jql, changes and this confirmation_token to apply'
+              : 'No matching issue would change - nothing to apply',
+            query_timestamp: new Date().toISOString()
+          }, null, 2)
+        }
+      ]
+    };
+  }
+
   // Helper methods
+  normalizeBulkChanges(changes) {
+    const listFields = ['add_labels', 'remove_labels', 'add_fix_versions', 'remove_fix_versions', 'add_components', 'remove_components'];
+    const valueFields = ['priority', 'assignee'];
+    
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+      throw new Error('No changes specified');
+    }
+    
+    const unknown = Object.keys(changes).filter(field => !listFields.includes(field) && !valueFields.includes(field));
+    if (unknown.length > 0) {
+      throw new Error(`Unsupported change fields: ${unknown.join(', ')}. Supported: ${[...listFields, ...valueFields].join(', ')}`);
+    }
+    
+    // Fixed key order so the preview and confirmation compare equal regardless of argument order
+    const normalized = {};
+    listFields.forEach(field => {
+      if (changes[field] === undefined || changes[field] === null) return;
+      if (!Array.isArray(changes[field]) || changes[field].some(value => typeof value !== 'string' || !value)) {
+        throw new Error(`${field} must be a list of non-empty strings, e.g. ["urgent"]`);
+      }
+      if (changes[field].length > 0) normalized[field] = [...changes[field]];
+    });
+    valueFields.forEach(field => {
+      if (changes[field] === undefined || changes[field] === null || changes[field] === '') return;
+      if (typeof changes[field] !== 'string') {
+        throw new Error(`${field} must be a string`);
+      }
+      normalized[field] = changes[field];
+    });
+    
+    if (Object.keys(normalized).length === 0) {
+      throw new Error('No changes specified');
+    }
+    return normalized;
+  }
+
+  diffBulkChanges(issue, changes) {
+    const diff = {};
+    const listDiff = (field, current, add = [], remove = []) => {
+      const after = [...current.filter(v => !remove.includes(v)), ...add.filter(v => !current.includes(v))];
+      if (after.length !== current.length || after.some(v => !current.includes(v))) {
+        diff[field] = { before: current, after: after };
+      }
+    };
+    
+    listDiff('labels', issue.fields.labels || [], changes.add_labels, changes.remove_labels);
+    listDiff('fix_versions', issue.fields.fixVersions?.map(v => v.name) || [], changes.add_fix_versions, changes.remove_fix_versions);
+    listDiff('components', issue.fields.components?.map(c => c.name) || [], changes.add_components, changes.remove_components);
+    
+    const priority = issue.fields.priority?.name || 'Undefined';
+    if (changes.priority && changes.priority !== priority) {
+      diff.priority = { before: priority, after: changes.priority };
+    }
+    
+    const assignee = issue.fields.assignee;
+    if (changes.assignee && changes.assignee !== assignee?.name && changes.assignee !== assignee?.displayName) {
+      diff.assignee = { before: assignee?.displayName || 'Unassigned', after: changes.assignee };
+    }
+    
+    return diff;
+  }
+
+  rankAssigneeCandidates(experts, workloadUsers) {
+    const maxExperience = Math.max(1, ...experts.map(e => e.total_issues));
+    const loads = Object.fromEntries(workloadUsers.map(u => [u.name, u.total_assigned]));
+    const maxLoad = Math.max(1, ...Object.values(loads));
+    
+    // Experience dominates, completion rate and spare capacity break ties between similar experts
+    const candidates = experts.map(expert => {
+      const currentLoad = loads[expert.name] || 0;
+      const score = 0.5 * (expert.total_issues / maxExperience) +
+        0.2 * expert.completion_rate +
+        0.3 * (1 - currentLoad / maxLoad);
+      
+      return {
+        name: expert.name,
+        username: expert.username,
+        score: Math.round(score * 100) / 100,
+        component_issues: expert.total_issues,
+        completion_rate: Math.round(expert.completion_rate * 100) / 100,
+        current_open_issues: currentLoad
+      };
+    }).sort((a, b) => b.score - a.score);
+    
+    const chosen = candidates[0] || null;
+    let reason = null;
+    if (chosen) {
+      const mostExperienced = [...candidates].sort((a, b) => b.component_issues - a.component_issues)[0];
+      reason = `${chosen.name} has handled ${chosen.component_issues} issues in this component (${Math.round(chosen.completion_rate * 100)}% completed) and currently has ${chosen.current_open_issues} open issues`;
+      if (mostExperienced.name !== chosen.name) {
+        reason += `; preferred over ${mostExperienced.name} (${mostExperienced.component_issues} component issues) who carries ${mostExperienced.current_open_issues} open issues`;
+      }
+    }
+    
+    return {
+      chosen: chosen,
+      reason: reason,
+      candidates: candidates.slice(0, 5)
+    };
+  }
+
   extractKeywords(text) {
     if (!text) return [];
     
@@ -1280,6 +4508,216 @@ class JiraServer {
     return union.size > 0 ? intersection.size / union.size : 0;
   }
 
+  matchTransition(requested, transitions) {
+    const normalize = text => (text || '').toLowerCase().replace(/[^a-z0-9\s]/g, ' ').replace(/\s+/g, ' ').trim();
+    const wanted = normalize(requested);
+    if (!wanted) return null;
+    
+    // Exact match on transition name or target status wins outright
+    const exact = transitions.find(t => normalize(t.name) === wanted || normalize(t.to_status) === wanted);
+    if (exact) return exact;
+    
+    // Substring match in either direction ("resolve" -> "Resolve Issue")
+    const partial = transitions.find(t => {
+      const name = normalize(t.name);
+      const status = normalize(t.to_status);
+      return name.includes(wanted) || wanted.includes(name) || (status && (status.includes(wanted) || wanted.includes(status)));
+    });
+    if (partial) return partial;
+    
+    // Fall back to word overlap, treating "resolved"/"resolve" and "progress"/"in progress" as matches
+    const wantedWords = wanted.split(' ');
+    let best = null;
+    let bestScore = 0;
+    transitions.forEach(t => {
+      const words = normalize(`${t.name} ${t.to_status || ''}`).split(' ');
+      const matched = wantedWords.filter(w => words.some(tw => tw.startsWith(w) || w.startsWith(tw))).length;
+      const score = matched / wantedWords.length;
+      if (score > bestScore) {
+        best = t;
+        bestScore = score;
+      }
+    });
+    
+    return bestScore >= 0.5 ? best : null;
+  }
+
+  resolveLinkType(linkType) {
+    // Map the phrases people use onto Jira's standard link types and their direction
+    const phrases = {
+      'duplicates': { type: 'Duplicate', reversed: false },
+      'is duplicated by': { type: 'Duplicate', reversed: true },
+      'blocks': { type: 'Blocks', reversed: false },
+      'is blocked by': { type: 'Blocks', reversed: true },
+      'clones': { type: 'Cloners', reversed: false },
+      'is cloned by': { type: 'Cloners', reversed: true },
+      'relates to': { type: 'Relates', reversed: false },
+      'relates': { type: 'Relates', reversed: false }
+    };
+    
+    const normalized = linkType.trim().toLowerCase();
+    return phrases[normalized] || { type: linkType.trim(), reversed: false };
+  }
+
+  buildStructuredJql(filters, projectKey, keywords) {
+    const clauses = [`project = ${this.jqlLiteral(projectKey)}`];
+    const asList = value => (Array.isArray(value) ? value : [value]).filter(v => v !== undefined && v !== null && v !== '');
+    const inClause = (field, values) => values.length === 1
+      ? `${field} = ${this.jqlLiteral(values[0])}`
+      : `${field} in (${values.map(v => this.jqlLiteral(v)).join(', ')})`;
+    
+    const statuses = asList(filters.status);
+    if (statuses.length > 0) clauses.push(inClause('status', statuses));
+    
+    const issueTypes = asList(filters.issue_type);
+    if (issueTypes.length > 0) clauses.push(inClause('issuetype', issueTypes));
+    
+    const components = asList(filters.components);
+    if (components.length > 0) clauses.push(inClause('component', components));
+    
+    const labels = asList(filters.labels);
+    if (labels.length > 0) clauses.push(inClause('labels', labels));
+    
+    if (filters.assignee) {
+      const assignee = filters.assignee.trim().toLowerCase();
+      if (assignee === 'me' || assignee === 'currentuser' || assignee === 'currentuser()') {
+        clauses.push('assignee = currentUser()');
+      } else if (assignee === 'unassigned' || assignee === 'none') {
+        clauses.push('assignee is EMPTY');
+      } else {
+        clauses.push(`assignee = ${this.jqlLiteral(filters.assignee.trim())}`);
+      }
+    }
+    
+    const dateRanges = [
+      ['created_after', 'created', '>='],
+      ['created_before', 'created', '<'],
+      ['updated_after', 'updated', '>='],
+      ['updated_before', 'updated', '<']
+    ];
+    dateRanges.forEach(([filter, field, operator]) => {
+      if (!filters[filter]) return;
+      if (!/^(\d{4}-\d{2}-\d{2}( \d{2}:\d{2})?|-?\d+[wdhm])$/.test(filters[filter])) {
+        throw new Error(`${filter} must be YYYY-MM-DD, "YYYY-MM-DD HH:MM" or a relative period like -7d (got ${JSON.stringify(filters[filter])})`);
+      }
+      clauses.push(`${field} ${operator} ${this.jqlLiteral(filters[filter])}`);
+    });
+    
+    if (keywords) {
+      const text = this.jqlTextTerm(keywords);
+      clauses.push(`(summary ~ ${text} OR description ~ ${text} OR comment ~ ${text})`);
+    }
+    
+    const sortBy = filters.sort_by || 'created';
+    if (!/^[A-Za-z][A-Za-z0-9_]*$/.test(sortBy)) {
+      throw new Error(`Invalid sort_by field: ${JSON.stringify(sortBy)}`);
+    }
+    const sortOrder = (filters.sort_order || 'desc').toLowerCase() === 'asc' ? 'ASC' : 'DESC';
+    
+    return `${clauses.join(' AND ')} ORDER BY ${sortBy} ${sortOrder}`;
+  }
+
+  encodeCursor(page) {
+    // Drop expired cursors so abandoned paging doesn't accumulate
+    const now = Date.now();
+    for (const [token, entry] of this.pageCursors) {
+      if (entry.expires_at < now) this.pageCursors.delete(token);
+    }
+    
+    const token = randomUUID();
+    this.pageCursors.set(token, {
+      page: page,
+      profile: this.profile.name,
+      expires_at: now + 30 * 60 * 1000
+    });
+    return token;
+  }
+
+  decodeCursor(cursor, tool) {
+    const entry = this.pageCursors.get(cursor);
+    if (!entry || entry.expires_at < Date.now()) {
+      this.pageCursors.delete(cursor);
+      throw new Error('Cursor is unknown or has expired - pass next_cursor exactly as returned, or rerun the query without a cursor');
+    }
+    if (entry.page.tool !== tool) {
+      throw new Error(`Cursor was not issued by ${tool}`);
+    }
+    if (entry.profile !== this.profile.name) {
+      throw new Error(`Cursor was issued for profile "${entry.profile}" - pass the same profile to continue paging`);
+    }
+    return entry.page;
+  }
+
+  nextCursor(page, returnedCount, totalCount) {
+    const nextStart = page.start_at + returnedCount;
+    if (returnedCount === 0 || nextStart >= (totalCount ?? 0)) {
+      return null;
+    }
+    return this.encodeCursor({ ...page, start_at: nextStart });
+  }
+
+  jqlLiteral(value) {
+    // The single JQL string escaper - every user-supplied value goes through here before reaching JQL
+    const escaped = String(value)
+      .replace(/\\/g, '\\\\')
+      .replace(/"/g, '\\"')
+      .replace(/[\r\n\t]+/g, ' ');
+    return `"${escaped}"`;
+  }
+
+  jqlTextTerm(value) {
+    // Text search (~) also parses the literal as a Lucene query, so drop Lucene operators first
+    return this.jqlLiteral(String(value).replace(/[+\-&|!(){}[\]^"~*?:\\/]/g, ' ').replace(/\s+/g, ' ').trim());
+  }
+
+  assertIssueKey(issueKey) {
+    if (typeof issueKey !== 'string' || !/^[A-Za-z][A-Za-z0-9_]*-\d+$/.test(issueKey)) {
+      throw new Error(`Invalid issue key: ${JSON.stringify(issueKey)}`);
+    }
+    return issueKey;
+  }
+
+  statusCategory(status) {
+    const name = typeof status === 'string' ? status : status?.name || '';
+    
+    const mapped = this.statusCategoryNames.get(name.toLowerCase());
+    if (mapped) return mapped.category;
+    
+    const categoryKey = typeof status === 'object' ? status?.statusCategory?.key : null;
+    const category = Object.keys(STATUS_CATEGORIES).find(c => STATUS_CATEGORIES[c].key === categoryKey);
+    if (category) return category;
+    
+    // Only a name to go on (e.g. a board column) - fall back to common workflow wording
+    const lower = name.toLowerCase();
+    if (['done', 'closed', 'complete', 'resolved'].some(word => lower.includes(word))) return 'done';
+    if (['progress', 'review', 'testing'].some(word => lower.includes(word))) return 'in_progress';
+    return 'todo';
+  }
+
+  issueStatusCategory(issue) {
+    return this.statusCategory(issue.fields.status);
+  }
+
+  statusCategoryJql(category) {
+    const mapped = [...this.statusCategoryNames.values()];
+    const names = mapped.filter(m => m.category === category).map(m => m.name);
+    const otherNames = mapped.filter(m => m.category !== category).map(m => m.name);
+    const list = values => values.map(value => this.jqlLiteral(value)).join(', ');
+    
+    let clause = `statusCategory = ${this.jqlLiteral(STATUS_CATEGORIES[category].jql)}`;
+    if (names.length > 0) {
+      clause = `${clause} OR status in (${list(names)})`;
+    }
+    if (otherNames.length > 0) {
+      clause = `(${clause}) AND status not in (${list(otherNames)})`;
+    }
+    return `(${clause})`;
+  }
+
+  openStatusJql() {
+    return `NOT ${this.statusCategoryJql('done')}`;
+  }
+
   findCommonElements(arr1, arr2) {
     return arr1.filter(item => arr2.includes(item));
   }
@@ -1292,10 +4730,10 @@ class JiraServer {
     }
     
     if (expertAnalysis && issueData.assignee === 'Unassigned') {
-      steps.push(`Consider assigning to ${expertAnalysis.recommendations.primary_expert?.name} (component expert)`);
+      steps.push(`Consider assigning to ${expertAnalysis.recommendations.primary_expert?.name} (component expert) or use assign_issue with "auto" to balance against current workload`);
     }
     
-    if (issueData.status === 'New' || issueData.status === 'To Do') {
+    if (issueData.status_category === 'todo') {
       steps.push('Move to In Progress and begin investigation');
     }
     
@@ -1304,9 +4742,7 @@ class JiraServer {
     return steps;
   }
 
-  calculateProjectMetrics(createdIssues, resolvedIssues, openIssues, daysBack) {
-    const now = new Date();
-    
+  calculateProjectMetrics(createdIssues, resolvedIssues, openIssues, daysBack, now = new Date()) {
     // Velocity calculations
     const issuesPerDay = createdIssues.length / daysBack;
     const resolutionRate = resolvedIssues.length / daysBack;
@@ -1336,12 +4772,12 @@ class JiraServer {
     const avgAge = issueAges.length > 0 ? issueAges.reduce((a, b) => a + b, 0) / issueAges.length : 0;
     const oldIssues = issueAges.filter(age => age > 30).length;
     
-    // Resolution time analysis for resolved issues
+    // Resolution time analysis for resolved issues (JIRA's field is resolutiondate; some jcli versions report resolved)
     const resolutionTimes = resolvedIssues
-      .filter(issue => issue.fields.created && issue.fields.resolved)
+      .filter(issue => issue.fields.created && (issue.fields.resolutiondate || issue.fields.resolved))
       .map(issue => {
         const created = new Date(issue.fields.created);
-        const resolved = new Date(issue.fields.resolved);
+        const resolved = new Date(issue.fields.resolutiondate || issue.fields.resolved);
         return Math.floor((resolved - created) / (1000 * 60 * 60 * 24));
       });
     
@@ -1376,7 +4812,9 @@ class JiraServer {
             .sort((a, b) => b[1] - a[1])
             .slice(0, 10)
         )
-      }
+      },
+      // Full counts behind the top-10 by_assignee, for period comparisons
+      assignee_totals: assigneeDistribution
     };
   }
 
@@ -1400,7 +4838,69 @@ class JiraServer {
     return Math.max(0, score);
   }
 
-  async getProjectAnalytics(project, daysBack = 30) {
+  compareMetric(previous, current, higherIsBetter) {
+    const delta = Math.round((current - previous) * 100) / 100;
+    return {
+      previous: previous,
+      current: current,
+      delta: delta,
+      percent_change: previous !== 0 ? Math.round((delta / Math.abs(previous)) * 1000) / 10 : null,
+      direction: delta === 0 ? 'UNCHANGED' : (delta > 0) === higherIsBetter ? 'IMPROVING' : 'WORSENING'
+    };
+  }
+
+  compareProjectMetrics(current, previous) {
+    const compareFields = (currentValues, previousValues, higherIsBetter) => Object.fromEntries(
+      Object.keys(higherIsBetter).map(field => [field, this.compareMetric(previousValues[field], currentValues[field], higherIsBetter[field])]));
+    
+    // Distributions count open issues, so fewer in any bucket is an improvement
+    const compareDistribution = (currentCounts, previousCounts) => Object.fromEntries(
+      [...new Set([...Object.keys(previousCounts), ...Object.keys(currentCounts)])]
+        .map(key => [key, this.compareMetric(previousCounts[key] || 0, currentCounts[key] || 0, false)]));
+    
+    const comparison = {
+      velocity_metrics: compareFields(current.velocity, previous.velocity, {
+        issues_created_per_day: false,
+        issues_resolved_per_day: true,
+        net_growth_rate: false,
+        total_created: false,
+        total_resolved: true
+      }),
+      health_indicators: compareFields(current.health, previous.health, {
+        total_open_issues: false,
+        unassigned_issues: false,
+        average_issue_age_days: false,
+        issues_older_than_30_days: false,
+        average_resolution_time_days: false
+      }),
+      health_score: this.compareMetric(previous.trends.health_score, current.trends.health_score, true),
+      issue_distribution: {
+        by_priority: compareDistribution(current.distribution.by_priority, previous.distribution.by_priority),
+        by_status: compareDistribution(current.distribution.by_status, previous.distribution.by_status),
+        // Compared over every assignee, then cut to the ten biggest movers
+        by_assignee: Object.fromEntries(
+          Object.entries(compareDistribution(current.assignee_totals, previous.assignee_totals))
+            .sort((a, b) => Math.abs(b[1].delta) - Math.abs(a[1].delta) || b[1].current - a[1].current)
+            .slice(0, 10)
+        )
+      }
+    };
+    
+    const directions = [
+      ...Object.values(comparison.velocity_metrics),
+      ...Object.values(comparison.health_indicators),
+      comparison.health_score
+    ].map(change => change.direction);
+    comparison.summary = {
+      improving: directions.filter(d => d === 'IMPROVING').length,
+      worsening: directions.filter(d => d === 'WORSENING').length,
+      unchanged: directions.filter(d => d === 'UNCHANGED').length
+    };
+    
+    return comparison;
+  }
+
+  async getProjectAnalytics(project, daysBack = 30, comparePrevious = false) {
     try {
       const projectKey = project || this.defaultProject;
       const startDate = new Date();
@@ -1408,23 +4908,22 @@ class JiraServer {
       const startDateStr = startDate.toISOString().split('T')[0];
       
       // Get issues created in the time period
-      const createdCommand = `jcli issues list --jql "project = ${projectKey} AND created >= '${startDateStr}'" --max-issues 1000 --output json --summary-len 0`;
-      const createdOutput = await this.executeJCLI(createdCommand);
-      const createdData = JSON.parse(createdOutput);
+      const createdData = await this.listIssues(`project = ${this.jqlLiteral(projectKey)} AND created >= ${this.jqlLiteral(startDateStr)}`);
       
       // Get issues resolved in the time period  
-      const resolvedCommand = `jcli issues list --jql "project = ${projectKey} AND resolved >= '${startDateStr}'" --max-issues 1000 --output json --summary-len 0`;
-      const resolvedOutput = await this.executeJCLI(resolvedCommand);
-      const resolvedData = JSON.parse(resolvedOutput);
+      const resolvedData = await this.listIssues(`project = ${this.jqlLiteral(projectKey)} AND resolved >= ${this.jqlLiteral(startDateStr)}`);
       
       // Get all open issues for current state
-      const openCommand = `jcli issues list --jql "project = ${projectKey} AND status in (Open, 'In Progress', 'To Do', New, Reopened)" --max-issues 1000 --output json --summary-len 0`;
-      const openOutput = await this.executeJCLI(openCommand);
-      const openData = JSON.parse(openOutput);
+      const openData = await this.listIssues(`project = ${this.jqlLiteral(projectKey)} AND ${this.openStatusJql()}`);
       
       // Calculate analytics
       const analytics = this.calculateProjectMetrics(createdData.issues || [], resolvedData.issues || [], openData.issues || [], daysBack);
       
+      // Each query returns at most 1000 issues; figures over a capped list undercount
+      const capped = (data, label) => (data.issues || []).length < (data.issues_count ?? 0)
+        ? [`${label} hit the 1000 issue limit (${data.issues_count} matching); figures based on them are incomplete`]
+        : [];
+      
       const projectAnalytics = {
         project: projectKey,
         analysis_period: {
@@ -1436,8 +4935,51 @@ class JiraServer {
         health_indicators: analytics.health,
         trend_analysis: analytics.trends,
         issue_distribution: analytics.distribution,
+        notes: [
+          ...capped(createdData, 'Created issues'),
+          ...capped(resolvedData, 'Resolved issues'),
+          ...capped(openData, 'Open issues')
+        ],
         generated_at: new Date().toISOString()
       };
+      
+      if (comparePrevious) {
+        const previousStart = new Date(startDate);
+        previousStart.setDate(previousStart.getDate() - daysBack);
+        const previousStartStr = previousStart.toISOString().split('T')[0];
+        const inPreviousPeriod = field => `${field} >= ${this.jqlLiteral(previousStartStr)} AND ${field} < ${this.jqlLiteral(startDateStr)}`;
+        
+        const previousCreated = await this.listIssues(`project = ${this.jqlLiteral(projectKey)} AND ${inPreviousPeriod('created')}`);
+        const previousResolved = await this.listIssues(`project = ${this.jqlLiteral(projectKey)} AND ${inPreviousPeriod('resolved')}`);
+        
+        // The open backlog as it stood when the current window began, with each issue's status at that time
+        const candidates = await this.listIssuesWithChangelog(
+          `project = ${this.jqlLiteral(projectKey)} AND created < ${this.jqlLiteral(startDateStr)} AND (${this.openStatusJql()} OR updated >= ${this.jqlLiteral(startDateStr)})`);
+        const learned = this.learnStatusCategories(candidates.issues || []);
+        const previousOpen = (candidates.issues || []).flatMap(issue => {
+          const periods = this.statusHistory(issue, learned);
+          const period = periods.find(p => p.start <= startDate && (!p.end || startDate < p.end));
+          return period && period.category !== 'done'
+            ? [{ ...issue, fields: { ...issue.fields, status: { ...issue.fields.status, name: period.status } } }]
+            : [];
+        });
+        
+        const previous = this.calculateProjectMetrics(previousCreated.issues || [], previousResolved.issues || [], previousOpen, daysBack, startDate);
+        projectAnalytics.comparison = {
+          previous_period: {
+            start_date: previousStartStr,
+            end_date: startDateStr,
+            days_analyzed: daysBack
+          },
+          ...this.compareProjectMetrics(analytics, previous),
+          notes: [
+            'Previous open issues are rebuilt from status changelogs as of the start of the current period; assignees are their current ones',
+            ...capped(previousCreated, 'Previous period created issues'),
+            ...capped(previousResolved, 'Previous period resolved issues'),
+            ...capped(candidates, 'Previous open backlog candidates')
+          ]
+        };
+      }
 
       return {
         content: [
@@ -1460,6 +5002,474 @@ class JiraServer {
     }
   }
 
+  percentile(sortedValues, p) {
+    if (sortedValues.length === 0) return null;
+    
+    // Linear interpolation between closest ranks
+    const rank = (p / 100) * (sortedValues.length - 1);
+    const lower = Math.floor(rank);
+    const upper = Math.ceil(rank);
+    const value = sortedValues[lower] + (sortedValues[upper] - sortedValues[lower]) * (rank - lower);
+    return Math.round(value * 10) / 10;
+  }
+
+  summarizeDurations(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    return {
+      count: sorted.length,
+      median: this.percentile(sorted, 50),
+      p85: this.percentile(sorted, 85),
+      p95: this.percentile(sorted, 95),
+      average: sorted.length > 0 ? Math.round((sorted.reduce((a, b) => a + b, 0) / sorted.length) * 10) / 10 : null
+    };
+  }
+
+  flowTimes(issue, learned) {
+    const periods = this.statusHistory(issue, learned);
+    const current = periods[periods.length - 1];
+    if (current.category !== 'done') return null;
+    
+    // Reopened work counts from its first start to its final completion
+    const dayMs = 1000 * 60 * 60 * 24;
+    const created = new Date(issue.fields.created);
+    const doneAt = current.start;
+    const started = periods.find(p => p.category === 'in_progress');
+    
+    return {
+      done_at: doneAt,
+      lead_time_days: Math.round(((doneAt - created) / dayMs) * 10) / 10,
+      cycle_time_days: started ? Math.round(((doneAt - started.start) / dayMs) * 10) / 10 : null
+    };
+  }
+
+  async getFlowMetrics(project, daysBack = 90, jql) {
+    try {
+      const projectKey = project || this.defaultProject;
+      const startDate = new Date();
+      startDate.setDate(startDate.getDate() - daysBack);
+      const startDateStr = startDate.toISOString().split('T')[0];
+      
+      // Finished work is updated when it transitions, so this catches everything completed in the window
+      const scopeJql = jql ? `(${jql})` : `project = ${this.jqlLiteral(projectKey)}`;
+      const data = await this.listIssuesWithChangelog(`${scopeJql} AND ${this.statusCategoryJql('done')} AND updated >= ${this.jqlLiteral(startDateStr)}`);
+      const issues = data.issues || [];
+      const total = data.issues_count ?? issues.length;
+      const learned = this.learnStatusCategories(issues);
+      
+      const completed = issues
+        .map(issue => ({ issue, times: this.flowTimes(issue, learned) }))
+        .filter(({ times }) => times && times.done_at >= startDate);
+      
+      const summarize = items => ({
+        cycle_time_days: this.summarizeDurations(items.map(i => i.times.cycle_time_days).filter(v => v !== null)),
+        lead_time_days: this.summarizeDurations(items.map(i => i.times.lead_time_days))
+      });
+      
+      const breakdown = keysOf => {
+        const groups = {};
+        completed.forEach(item => {
+          keysOf(item.issue).forEach(key => {
+            (groups[key] = groups[key] || []).push(item);
+          });
+        });
+        return Object.fromEntries(Object.entries(groups)
+          .sort((a, b) => b[1].length - a[1].length)
+          .map(([key, items]) => [key, summarize(items)]));
+      };
+      
+      const overall = summarize(completed);
+      const slowest = [...completed]
+        .filter(item => item.times.cycle_time_days !== null)
+        .sort((a, b) => b.times.cycle_time_days - a.times.cycle_time_days)
+        .slice(0, 5)
+        .map(({ issue, times }) => ({
+          key: issue.key,
+          summary: issue.fields.summary,
+          issue_type: issue.fields.issuetype?.name || 'Unknown',
+          cycle_time_days: times.cycle_time_days,
+          lead_time_days: times.lead_time_days
+        }));
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              project: jql ? null : projectKey,
+              jql_scope: jql || null,
+              analysis_period: {
+                start_date: startDateStr,
+                end_date: new Date().toISOString().split('T')[0],
+                days_analyzed: daysBack
+              },
+              completed_issues: completed.length,
+              never_in_progress: completed.filter(item => item.times.cycle_time_days === null).length,
+              overall: overall,
+              by_issue_type: breakdown(issue => [issue.fields.issuetype?.name || 'Unknown']),
+              by_component: breakdown(issue => (issue.fields.components || []).length > 0 ? issue.fields.components.map(c => c.name) : ['No Component']),
+              by_priority: breakdown(issue => [issue.fields.priority?.name || 'Undefined']),
+              slowest_issues: slowest,
+              definitions: {
+                cycle_time: 'First move into an in-progress status until the final move into a done status',
+                lead_time: 'Issue creation until the final move into a done status'
+              },
+              service_level_note: overall.cycle_time_days.p85 !== null
+                ? `85% of work items finished within ${overall.cycle_time_days.p85} days of starting`
+                : 'Not enough completed work with in-progress history to quote a service level',
+              notes: total > issues.length
+                ? [`Completed issues hit the 1000 issue limit (${total} matching); narrow the scope or shorten days_back for complete figures`]
+                : [],
+              generated_at: new Date().toISOString()
+            }, null, 2)
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error calculating flow metrics: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+
+  async getCumulativeFlow(boardName, jql, startDate, endDate, stallDays = 5) {
+    try {
+      [['start_date', startDate], ['end_date', endDate]].forEach(([name, value]) => {
+        if (value && !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+          throw new Error(`${name} must be YYYY-MM-DD (got ${JSON.stringify(value)})`);
+        }
+      });
+      
+      const now = new Date();
+      const dayMs = 1000 * 60 * 60 * 24;
+      const end = new Date(`${endDate || now.toISOString().split('T')[0]}T00:00:00Z`);
+      const start = startDate ? new Date(`${startDate}T00:00:00Z`) : new Date(end.getTime() - 30 * dayMs);
+      if (isNaN(start) || isNaN(end) || start > end) {
+        throw new Error('start_date must be a valid date on or before end_date');
+      }
+      const dayCount = Math.floor((end - start) / dayMs) + 1;
+      if (dayCount > 366) {
+        throw new Error(`Date range covers ${dayCount} days; the limit is 366`);
+      }
+      const startStr = start.toISOString().split('T')[0];
+      const endStr = end.toISOString().split('T')[0];
+      const rangeEnd = new Date(Math.min(end.getTime() + dayMs, now.getTime()));
+      
+      let scope;
+      let issues;
+      let scopeNote = null;
+      if (jql) {
+        // Anything still open, or touched since the range began, may have moved through it
+        const data = await this.listIssuesWithChangelog(
+          `(${jql}) AND created < ${this.jqlLiteral(new Date(end.getTime() + dayMs).toISOString().split('T')[0])} AND (${this.openStatusJql()} OR updated >= ${this.jqlLiteral(startStr)})`);
+        issues = data.issues || [];
+        scope = { jql: jql };
+        if ((data.issues_count ?? issues.length) > issues.length) {
+          scopeNote = `Scope hit the 1000 issue limit (${data.issues_count} matching); narrow the JQL for complete data`;
+        }
+      } else {
+        const actualBoardName = this.resolveBoardName(boardName);
+        if (!actualBoardName) {
+          return this.noBoardError();
+        }
+        
+        // Boards are scoped through their sprints: every sprint overlapping the range, plus future ones
+        const overlapping = (await this.backend.getBoardSprints(actualBoardName, { showAll: true, includeIssues: false }))
+          .filter(sprint => !sprint.start_date_str
+            || (sprint.start_date_str <= endStr && (sprint.complete_date_str || sprint.end_date_str || endStr) >= startStr));
+        if (overlapping.length === 0) {
+          throw new Error(`No sprints on board ${actualBoardName} overlap ${startStr} to ${endStr}; pass a jql scope instead`);
+        }
+        const sprints = await this.loadSprintIssues(actualBoardName, overlapping);
+        const keys = new Set(sprints.flatMap(sprint => this.sprintIssueKeys(sprint)));
+        issues = await this.fetchIssuesWithChangelog([...keys]);
+        scope = { board_name: actualBoardName, sprints: sprints.map(sprint => sprint.name) };
+        if (issues.length < keys.size) {
+          scopeNote = `Only ${issues.length} of the ${keys.size} sprint issues could be loaded; the rest are missing from the chart`;
+        }
+      }
+      
+      const learned = this.learnStatusCategories(issues);
+      const tracked = issues
+        .map(issue => ({ issue, periods: this.statusHistory(issue, learned) }))
+        // Work finished before the range would only pad the done band
+        .filter(item => this.categoryAt(item.periods, start) !== 'done');
+      
+      const series = [];
+      for (let i = 0; i < dayCount; i++) {
+        const date = new Date(start.getTime() + i * dayMs);
+        if (date > now) break;
+        
+        const dayEnd = new Date(Math.min(date.getTime() + dayMs, now.getTime()));
+        const counts = { todo: 0, in_progress: 0, done: 0 };
+        tracked.forEach(item => {
+          const category = this.categoryAt(item.periods, dayEnd);
+          if (category in counts) counts[category]++;
+        });
+        series.push({ date: date.toISOString().split('T')[0], ...counts, total: counts.todo + counts.in_progress + counts.done });
+      }
+      
+      // Compare the average band width over the first and last week (or half) of the range
+      const window = Math.max(1, Math.min(7, Math.floor(series.length / 2)));
+      const average = days => days.length > 0 ? Math.round((days.reduce((sum, d) => sum + d.value, 0) / days.length) * 10) / 10 : 0;
+      const bands = {};
+      ['todo', 'in_progress', 'done'].forEach(band => {
+        const values = series.map(day => ({ value: day[band] }));
+        const first = average(values.slice(0, window));
+        const last = average(values.slice(-window));
+        bands[band] = {
+          start: values[0]?.value ?? 0,
+          end: values[values.length - 1]?.value ?? 0,
+          first_window_avg: first,
+          last_window_avg: last,
+          trend: last - first >= 1 && last > first * 1.25 ? 'WIDENING' : first - last >= 1 && last < first * 0.8 ? 'NARROWING' : 'STABLE'
+        };
+      });
+      
+      // Per-status view at the end of the range: what is sitting where, and whether anything has left lately
+      const stallStart = new Date(rangeEnd.getTime() - stallDays * dayMs);
+      const stages = {};
+      tracked.forEach(item => {
+        const current = item.periods.find(p => p.start < rangeEnd && (!p.end || rangeEnd <= p.end));
+        if (current && current.category !== 'done') {
+          const stage = stages[current.status] = stages[current.status] || { status: current.status, category: current.category, issues: [], exits: 0 };
+          stage.issues.push({ key: item.issue.key, days_in_status: Math.round(((rangeEnd - current.start) / dayMs) * 10) / 10 });
+        }
+        item.periods
+          .filter(p => p.end && p.end >= stallStart && p.end < rangeEnd && p.category !== 'done')
+          .forEach(p => {
+            const stage = stages[p.status] = stages[p.status] || { status: p.status, category: p.category, issues: [], exits: 0 };
+            stage.exits++;
+          });
+      });
+      
+      const stageList = Object.values(stages)
+        .filter(stage => stage.issues.length > 0)
+        .map(stage => {
+          const oldest = Math.max(...stage.issues.map(i => i.days_in_status));
+          return {
+            status: stage.status,
+            category: stage.category,
+            issue_count: stage.issues.length,
+            exits_last_period: stage.exits,
+            oldest_days_in_status: oldest,
+            stalled: stage.exits === 0 && oldest >= stallDays,
+            oldest_issues: stage.issues.sort((a, b) => b.days_in_status - a.days_in_status).slice(0, 5)
+          };
+        })
+        .sort((a, b) => b.issue_count - a.issue_count);
+      
+      const flags = [];
+      if (bands.in_progress.trend === 'WIDENING') {
+        flags.push({
+          type: 'WIDENING_WIP',
+          band: 'in_progress',
+          message: `In-progress band widened from ${bands.in_progress.first_window_avg} to ${bands.in_progress.last_window_avg} issues on average - work is being started faster than it is finished`
+        });
+      }
+      if (bands.todo.trend === 'WIDENING') {
+        flags.push({
+          type: 'WIDENING_BACKLOG',
+          band: 'todo',
+          message: `To-do band widened from ${bands.todo.first_window_avg} to ${bands.todo.last_window_avg} issues on average - work is arriving faster than it is being picked up`
+        });
+      }
+      stageList.filter(stage => stage.stalled).forEach(stage => {
+        flags.push({
+          type: 'STALLED_STAGE',
+          status: stage.status,
+          message: `Nothing has left "${stage.status}" in ${stallDays} days while ${stage.issue_count} issue(s) wait there (oldest ${stage.oldest_days_in_status} days)`
+        });
+      });
+      const recent = series.slice(-(stallDays + 1));
+      if (recent.length > stallDays && recent[recent.length - 1].done === recent[0].done && recent[recent.length - 1].in_progress > 0) {
+        flags.push({
+          type: 'NO_THROUGHPUT',
+          band: 'done',
+          message: `Done band has not grown in ${stallDays} days with ${recent[recent.length - 1].in_progress} issue(s) in progress`
+        });
+      }
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              scope: scope,
+              date_range: {
+                start_date: startStr,
+                end_date: endStr,
+                days: series.length
+              },
+              issues_tracked: tracked.length,
+              series: series,
+              bands: bands,
+              stages: stageList,
+              flags: flags,
+              notes: [
+                'Counts are taken at the end of each day; the done band only includes work finished within the range',
+                ...(scopeNote ? [scopeNote] : [])
+              ],
+              generated_at: new Date().toISOString()
+            }, null, 2)
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error building cumulative flow: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+
+  statusKind(status, category, activeStatuses = null) {
+    if (activeStatuses) {
+      return activeStatuses.has(status.toLowerCase()) ? 'active' : 'waiting';
+    }
+    return category === 'in_progress' && !WAITING_STATUS_PATTERN.test(status) ? 'active' : 'waiting';
+  }
+
+  timeInStatus(issue, learned, activeStatuses = null) {
+    const dayMs = 1000 * 60 * 60 * 24;
+    const now = new Date();
+    const round = days => Math.round(days * 10) / 10;
+    
+    // Time spent done (including before a reopen) is not part of the flow
+    const byStatus = new Map();
+    this.statusHistory(issue, learned)
+      .filter(period => period.category !== 'done')
+      .forEach(period => {
+        const entry = byStatus.get(period.status) || {
+          status: period.status,
+          category: period.category,
+          kind: this.statusKind(period.status, period.category, activeStatuses),
+          days: 0,
+          visits: 0
+        };
+        entry.days += ((period.end || now) - period.start) / dayMs;
+        entry.visits++;
+        byStatus.set(period.status, entry);
+      });
+    
+    const statuses = [...byStatus.values()];
+    const total = statuses.reduce((sum, s) => sum + s.days, 0);
+    const active = statuses.filter(s => s.kind === 'active').reduce((sum, s) => sum + s.days, 0);
+    
+    return {
+      statuses: statuses
+        .map(s => ({ ...s, days: round(s.days) }))
+        .sort((a, b) => b.days - a.days),
+      total_days: round(total),
+      active_days: round(active),
+      waiting_days: round(total - active),
+      flow_efficiency: total > 0 ? Math.round((active / total) * 100) : null
+    };
+  }
+
+  async getTimeInStatus(issueKey, jql, maxResults = 50, activeStatusNames) {
+    try {
+      if (Boolean(issueKey) === Boolean(jql)) {
+        throw new Error('Provide either issue_key or jql');
+      }
+      const activeStatuses = activeStatusNames?.length > 0 ? new Set(activeStatusNames.map(name => name.toLowerCase())) : null;
+      
+      const issues = issueKey
+        ? await this.fetchIssuesWithChangelog([issueKey])
+        : (await this.listIssuesWithChangelog(jql, Math.min(maxResults, 200))).issues || [];
+      if (issueKey && issues.length === 0) {
+        throw new Error(`Issue ${issueKey} not found`);
+      }
+      
+      const learned = this.learnStatusCategories(issues);
+      const results = issues.map(issue => ({
+        key: issue.key,
+        summary: issue.fields.summary,
+        status: issue.fields.status.name,
+        ...this.timeInStatus(issue, learned, activeStatuses)
+      }));
+      
+      // Roll every issue's statuses up into one view of where the scope spends its time
+      const totals = new Map();
+      results.forEach(result => {
+        result.statuses.forEach(s => {
+          const entry = totals.get(s.status) || { status: s.status, category: s.category, kind: s.kind, total_days: 0, issue_count: 0 };
+          entry.total_days += s.days;
+          entry.issue_count++;
+          totals.set(s.status, entry);
+        });
+      });
+      const byStatus = [...totals.values()]
+        .map(entry => ({
+          ...entry,
+          total_days: Math.round(entry.total_days * 10) / 10,
+          average_days: Math.round((entry.total_days / entry.issue_count) * 10) / 10
+        }))
+        .sort((a, b) => b.total_days - a.total_days);
+      
+      const totalDays = results.reduce((sum, r) => sum + r.total_days, 0);
+      const activeDays = results.reduce((sum, r) => sum + r.active_days, 0);
+      const waitingDays = totalDays - activeDays;
+      const slowestWaiting = byStatus
+        .filter(entry => entry.kind === 'waiting')
+        .slice(0, 5)
+        .map(entry => ({
+          status: entry.status,
+          total_days: entry.total_days,
+          average_days: entry.average_days,
+          issue_count: entry.issue_count,
+          share_of_waiting: waitingDays > 0 ? Math.round((entry.total_days / waitingDays) * 100) : 0
+        }));
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              scope: issueKey ? { issue_key: issueKey } : { jql: jql },
+              issue_count: results.length,
+              flow_efficiency: totalDays > 0 ? Math.round((activeDays / totalDays) * 100) : null,
+              total_days: Math.round(totalDays * 10) / 10,
+              active_days: Math.round(activeDays * 10) / 10,
+              waiting_days: Math.round(waitingDays * 10) / 10,
+              slowest_waiting_states: slowestWaiting,
+              by_status: byStatus,
+              issues: results,
+              definitions: {
+                active: activeStatuses
+                  ? `Statuses listed in active_statuses: ${activeStatusNames.join(', ')}`
+                  : 'In-progress statuses, except ones named like waiting, blocked, on hold, pending or queued',
+                waiting: 'Every other status before done, including the to-do backlog',
+                flow_efficiency: 'Active time as a percentage of the time from creation to done (or now, for open issues)'
+              },
+              generated_at: new Date().toISOString()
+            }, null, 2)
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error calculating time in status: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+
   analyzeUserWorkload(allAssigned, inProgress, specificUser) {
     const userStats = {};
     const now = new Date();
@@ -1476,6 +5486,10 @@ class JiraServer {
           in_progress: 0,
           open: 0,
           done: 0,
+          total_points: 0,
+          in_progress_points: 0,
+          open_points: 0,
+          remaining_hours: 0,
           high_priority: 0,
           critical_priority: 0,
           overdue: 0,
@@ -1496,12 +5510,20 @@ class JiraServer {
       stats.issue_ages.push(ageDays);
       
       // Categorize by status
-      if (status.toLowerCase().includes('done') || status.toLowerCase().includes('closed')) {
+      const category = this.issueStatusCategory(issue);
+      const points = this.storyPoints(issue);
+      stats.total_points += points;
+      if (category === 'done') {
         stats.done++;
-      } else if (status.toLowerCase().includes('progress') || status.toLowerCase().includes('review')) {
+      } else if (category === 'in_progress') {
         stats.in_progress++;
+        stats.in_progress_points += points;
       } else {
         stats.open++;
+        stats.open_points += points;
+      }
+      if (category !== 'done') {
+        stats.remaining_hours = Math.round((stats.remaining_hours + this.issueEstimates(issue).remaining_hours) * 10) / 10;
       }
       
       // Priority analysis
@@ -1511,7 +5533,7 @@ class JiraServer {
       }
       
       // Check for overdue (more than 60 days old and not done)
-      if (ageDays > 60 && !status.toLowerCase().includes('done') && !status.toLowerCase().includes('closed')) {
+      if (ageDays > 60 && category !== 'done') {
         stats.overdue++;
       }
       
@@ -1545,6 +5567,7 @@ class JiraServer {
         sortedUsers,
       summary: {
         total_assigned_issues: allAssigned.length,
+        total_assigned_points: sortedUsers.reduce((sum, u) => sum + u.total_points, 0),
         total_in_progress: inProgress.length,
         avg_workload: sortedUsers.length > 0 ? 
           Math.round((allAssigned.length / sortedUsers.length) * 100) / 100 : 0
@@ -1618,21 +5641,17 @@ class JiraServer {
       const projectKey = project || this.defaultProject;
       
       // Build JQL based on whether specific user is requested
-      let baseJql = `project = ${projectKey} AND assignee is not EMPTY`;
+      let baseJql = `project = ${this.jqlLiteral(projectKey)} AND assignee is not EMPTY`;
       if (user) {
         // Handle both display name and username
-        baseJql = `project = ${projectKey} AND (assignee = "${user}" OR assignee.displayName ~ "${user}")`;
+        baseJql = `project = ${this.jqlLiteral(projectKey)} AND (assignee = ${this.jqlLiteral(user)} OR assignee.displayName ~ ${this.jqlLiteral(user)})`;
       }
       
       // Get all assigned issues
-      const assignedCommand = `jcli issues list --jql "${baseJql}" --max-issues 1000 --output json --summary-len 0`;
-      const assignedOutput = await this.executeJCLI(assignedCommand);
-      const assignedData = JSON.parse(assignedOutput);
+      const assignedData = await this.listIssues(baseJql);
       
       // Get issues in progress
-      const inProgressCommand = `jcli issues list --jql "${baseJql} AND status in ('In Progress', 'In Review', 'Testing')" --max-issues 1000 --output json --summary-len 0`;
-      const inProgressOutput = await this.executeJCLI(inProgressCommand);
-      const inProgressData = JSON.parse(inProgressOutput);
+      const inProgressData = await this.listIssues(`${baseJql} AND ${this.statusCategoryJql('in_progress')}`);
       
       // Analyze workload by user
       const workloadAnalysis = this.analyzeUserWorkload(assignedData.issues || [], inProgressData.issues || [], user);
@@ -1672,6 +5691,10 @@ class JiraServer {
     const completedIssues = totalIssues - openIssues.length;
     const completionPercentage = totalIssues > 0 ? Math.round((completedIssues / totalIssues) * 100) : 100;
     
+    // Point-weighted view, so one large story doesn't count the same as a typo fix
+    const totalWork = this.sumWork(allIssues);
+    const remainingWork = this.sumWork(openIssues);
+    
     // Issue categorization
     const priorityBreakdown = {};
     const statusBreakdown = {};
@@ -1720,7 +5743,12 @@ class JiraServer {
         completed_issues: completedIssues,
         remaining_issues: openIssues.length,
         completion_percentage: completionPercentage,
-        blocked_issues: blockedIssues.length
+        blocked_issues: blockedIssues.length,
+        total_points: totalWork.points,
+        completed_points: totalWork.points - remainingWork.points,
+        remaining_points: remainingWork.points,
+        completion_percentage_points: totalWork.points > 0 ? Math.round(((totalWork.points - remainingWork.points) / totalWork.points) * 100) : null,
+        remaining_estimate_hours: remainingWork.remaining_hours
       },
       remaining_work: {
         by_priority: priorityBreakdown,
@@ -1893,19 +5921,14 @@ class JiraServer {
       const projectKey = project || this.defaultProject;
       
       // Get all issues for this version/release
-      const versionCommand = `jcli issues list --jql "project = ${projectKey} AND fixVersion ~ \\"${version}\\"" --max-issues 1000 --output json --summary-len 0`;
-      const versionOutput = await this.executeJCLI(versionCommand);
-      const versionData = JSON.parse(versionOutput);
+      const versionJql = `project = ${this.jqlLiteral(projectKey)} AND fixVersion ~ ${this.jqlLiteral(version)}`;
+      const versionData = await this.listIssues(versionJql);
       
       // Get open issues for this version
-      const openCommand = `jcli issues list --jql "project = ${projectKey} AND fixVersion ~ \\"${version}\\" AND status not in (Done, Closed, Resolved)" --max-issues 1000 --output json --summary-len 0`;
-      const openOutput = await this.executeJCLI(openCommand);
-      const openData = JSON.parse(openOutput);
+      const openData = await this.listIssues(`${versionJql} AND ${this.openStatusJql()}`);
       
       // Get blocked issues
-      const blockedCommand = `jcli issues list --jql "project = ${projectKey} AND fixVersion ~ \\"${version}\\" AND (priority = Blocker OR labels in (blocked) OR status = Blocked)" --max-issues 1000 --output json --summary-len 0`;
-      const blockedOutput = await this.executeJCLI(blockedCommand);
-      const blockedData = JSON.parse(blockedOutput);
+      const blockedData = await this.listIssues(`${versionJql} AND (priority = Blocker OR labels in (blocked) OR status = Blocked)`);
       
       const readinessAnalysis = this.analyzeReleaseReadiness(versionData.issues || [], openData.issues || [], blockedData.issues || [], version);
       
@@ -1939,6 +5962,177 @@ class JiraServer {
     }
   }
 
+  async weeklyThroughputSamples(projectKey, boardName, weeksBack) {
+    const dayMs = 1000 * 60 * 60 * 24;
+    const weekMs = 7 * dayMs;
+    const now = new Date();
+    const start = new Date(now.getTime() - weeksBack * weekMs);
+    const startStr = start.toISOString().split('T')[0];
+    
+    if (boardName) {
+      // One sample per closed sprint that ended in the window: issues done by its close, spread over its length in weeks
+      const closed = (await this.backend.getBoardSprints(boardName, { showAll: true, includeIssues: false }))
+        .filter(sprint => sprint.state === 'closed' && sprint.start_date_str
+          && (sprint.complete_date_str || sprint.end_date_str || sprint.start_date_str) >= startStr)
+        .sort((a, b) => b.start_date_str.localeCompare(a.start_date_str));
+      if (closed.length === 0) {
+        throw new Error(`No sprints on board ${boardName} closed in the last ${weeksBack} weeks`);
+      }
+      const sprints = await this.loadSprintIssues(boardName, closed);
+      
+      const issues = await this.fetchIssuesWithChangelog(sprints.flatMap(sprint => this.sprintIssueKeys(sprint)));
+      const learned = this.learnStatusCategories(issues);
+      const periodsByKey = new Map(issues.map(issue => [issue.key, this.statusHistory(issue, learned)]));
+      
+      return {
+        source: 'board',
+        board_name: boardName,
+        notes: [],
+        samples: sprints.reverse().map(sprint => {
+          const start = new Date(`${sprint.start_date_str}T00:00:00Z`);
+          const end = new Date(`${sprint.complete_date_str || sprint.end_date_str || sprint.start_date_str}T00:00:00Z`);
+          end.setUTCDate(end.getUTCDate() + 1);
+          const done = this.sprintIssueKeys(sprint).filter(key => periodsByKey.has(key) && this.categoryAt(periodsByKey.get(key), end) === 'done').length;
+          return {
+            sprint: sprint.name,
+            completed_issues: done,
+            weeks: Math.round(((end - start) / weekMs) * 10) / 10,
+            per_week: Math.round((done / Math.max(1, (end - start) / weekMs)) * 10) / 10
+          };
+        })
+      };
+    }
+    
+    // One sample per calendar week, counting issues that reached done in it (zero weeks included)
+    const data = await this.listIssuesWithChangelog(
+      `project = ${this.jqlLiteral(projectKey)} AND ${this.statusCategoryJql('done')} AND updated >= ${this.jqlLiteral(startStr)}`);
+    const issues = data.issues || [];
+    const total = data.issues_count ?? issues.length;
+    const learned = this.learnStatusCategories(issues);
+    
+    const counts = new Array(weeksBack).fill(0);
+    issues.forEach(issue => {
+      const times = this.flowTimes(issue, learned);
+      if (times && times.done_at >= start) {
+        counts[Math.min(weeksBack - 1, Math.floor((times.done_at - start) / weekMs))]++;
+      }
+    });
+    
+    return {
+      source: 'project',
+      project: projectKey,
+      notes: total > issues.length
+        ? [`Throughput history hit the 1000 issue limit (${total} done issues updated since ${startStr}); weekly counts are understated`]
+        : [],
+      samples: counts.map((count, i) => ({
+        week_starting: new Date(start.getTime() + i * weekMs).toISOString().split('T')[0],
+        completed_issues: count,
+        per_week: count
+      }))
+    };
+  }
+
+  async getReleaseForecast(version, project, boardName, targetDate, weeksBack = 12, simulations = 10000) {
+    try {
+      if (targetDate && !/^\d{4}-\d{2}-\d{2}$/.test(targetDate)) {
+        throw new Error(`target_date must be YYYY-MM-DD (got ${JSON.stringify(targetDate)})`);
+      }
+      const projectKey = project || this.defaultProject;
+      const trials = Math.min(Math.max(Math.floor(simulations), 1000), 50000);
+      
+      const versionJql = `project = ${this.jqlLiteral(projectKey)} AND fixVersion ~ ${this.jqlLiteral(version)}`;
+      const versionData = await this.listIssues(versionJql);
+      const openData = await this.listIssues(`${versionJql} AND ${this.openStatusJql()}`);
+      const totalIssues = (versionData.issues || []).length;
+      const remaining = (openData.issues || []).length;
+      if (totalIssues === 0) {
+        throw new Error(`No issues found for version ${version} in ${projectKey}`);
+      }
+      
+      const { notes: throughputNotes, ...throughput } = await this.weeklyThroughputSamples(projectKey, boardName, weeksBack);
+      const rates = throughput.samples.map(sample => sample.per_week);
+      if (remaining > 0 && rates.every(rate => rate === 0)) {
+        throw new Error('No completed work in the throughput history, so there is nothing to forecast from');
+      }
+      
+      // Each trial replays randomly drawn historical weeks until the remaining issues are done
+      const maxWeeks = 520;
+      const weeksNeeded = [];
+      for (let trial = 0; trial < trials; trial++) {
+        let left = remaining;
+        let weeks = 0;
+        while (left > 0 && weeks < maxWeeks) {
+          left -= rates[Math.floor(Math.random() * rates.length)];
+          weeks++;
+        }
+        weeksNeeded.push(weeks);
+      }
+      weeksNeeded.sort((a, b) => a - b);
+      
+      const now = new Date();
+      const dateAfter = weeks => new Date(now.getTime() + weeks * 7 * 1000 * 60 * 60 * 24).toISOString().split('T')[0];
+      const forecastAt = p => {
+        const weeks = weeksNeeded[Math.min(trials - 1, Math.ceil((p / 100) * trials) - 1)];
+        return { weeks: weeks, date: dateAfter(weeks) };
+      };
+      
+      let target = null;
+      if (targetDate) {
+        const hits = weeksNeeded.filter(weeks => dateAfter(weeks) <= targetDate).length;
+        const probability = Math.round((hits / trials) * 100);
+        target = {
+          date: targetDate,
+          probability: probability,
+          assessment: probability >= 85 ? 'LIKELY' : probability >= 50 ? 'AT_RISK' : 'UNLIKELY'
+        };
+      }
+      
+      const averageRate = rates.length > 0 ? Math.round((rates.reduce((a, b) => a + b, 0) / rates.length) * 10) / 10 : 0;
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              version: version,
+              project: projectKey,
+              total_issues: totalIssues,
+              remaining_issues: remaining,
+              throughput: {
+                ...throughput,
+                average_per_week: averageRate
+              },
+              simulations: trials,
+              forecast: {
+                p50: forecastAt(50),
+                p85: forecastAt(85),
+                p95: forecastAt(95)
+              },
+              target: target,
+              notes: [
+                'Dates are the end of the simulated week in which the last remaining issue finishes',
+                'Assumes the remaining scope stays fixed; issues added to the version push every date out',
+                ...throughputNotes,
+                ...(weeksNeeded[trials - 1] >= maxWeeks ? [`Some trials did not finish within ${maxWeeks} weeks`] : [])
+              ],
+              generated_at: new Date().toISOString()
+            }, null, 2)
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error forecasting release ${version}: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+
   analyzeComponentHealth(allIssues, openIssues, recentIssues, specificComponent) {
     const now = new Date();
     
@@ -2011,7 +6205,7 @@ class JiraServer {
     // Process all issues to build component statistics
     allIssues.forEach(issue => {
       const components = issue.fields.components || [];
-      const isOpen = !['Done', 'Closed', 'Resolved'].includes(issue.fields.status.name);
+      const isOpen = this.issueStatusCategory(issue) !== 'done';
       const isBug = issue.fields.issuetype?.name?.toLowerCase().includes('bug');
       const created = new Date(issue.fields.created);
       const ageDays = Math.floor((now - created) / (1000 * 60 * 60 * 24));
@@ -2189,27 +6383,21 @@ class JiraServer {
       const projectKey = project || this.defaultProject;
       
       // Build JQL based on whether specific component is requested
-      let baseJql = `project = ${projectKey}`;
+      let baseJql = `project = ${this.jqlLiteral(projectKey)}`;
       if (component) {
-        baseJql += ` AND component = "${component}"`;
+        baseJql += ` AND component = ${this.jqlLiteral(component)}`;
       }
       
       // Get all issues for component(s)
-      const allIssuesCommand = `jcli issues list --jql "${baseJql}" --max-issues 1000 --output json --summary-len 0`;
-      const allIssuesOutput = await this.executeJCLI(allIssuesCommand);
-      const allIssuesData = JSON.parse(allIssuesOutput);
+      const allIssuesData = await this.listIssues(baseJql);
       
       // Get open issues for component(s)
-      const openIssuesCommand = `jcli issues list --jql "${baseJql} AND status not in (Done, Closed, Resolved)" --max-issues 1000 --output json --summary-len 0`;
-      const openIssuesOutput = await this.executeJCLI(openIssuesCommand);
-      const openIssuesData = JSON.parse(openIssuesOutput);
+      const openIssuesData = await this.listIssues(`${baseJql} AND ${this.openStatusJql()}`);
       
       // Get recent issues (last 30 days)
       const thirtyDaysAgo = new Date();
       thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-      const recentIssuesCommand = `jcli issues list --jql "${baseJql} AND created >= '${thirtyDaysAgo.toISOString().split('T')[0]}'" --max-issues 1000 --output json --summary-len 0`;
-      const recentIssuesOutput = await this.executeJCLI(recentIssuesCommand);
-      const recentIssuesData = JSON.parse(recentIssuesOutput);
+      const recentIssuesData = await this.listIssues(`${baseJql} AND created >= ${this.jqlLiteral(thirtyDaysAgo.toISOString().split('T')[0])}`);
       
       const healthAnalysis = this.analyzeComponentHealth(
         allIssuesData.issues || [], 
@@ -2255,9 +6443,13 @@ class JiraServer {
   }
 }
 
-// Start the server
-const server = new JiraServer();
-server.start().catch(error => {
-  console.error('Failed to start server:', error);
-  process.exit(1);
-});
\ No newline at end of file
+export { JiraServer, JcliBackend, RestBackend, CachedBackend, ResponseCache };
+
+// Start the server when run directly - the tests import the classes instead
+if (process.argv[1] && realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const server = new JiraServer();
+  server.start().catch(error => {
+    console.error('Failed to start server:', error);
+    process.exit(1);
+  });
+}
\ No newline at end of file
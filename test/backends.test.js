@@ -0,0 +1,253 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { JcliBackend, RestBackend } from '../server.js';
+import { FakeJira } from './fake-jira.js';
+import { startMockJira } from './mock-jira-server.js';
+
+const JCLI_VENV = fileURLToPath(new URL('./fixtures/jcli-venv', import.meta.url));
+
+// Both backends run the same suite against the same fixture data
+const HARNESSES = {
+  jcli: async () => {
+    const workingDir = mkdtempSync(join(tmpdir(), 'jiracli-mcp-test-'));
+    FakeJira.fromFixture().save(join(workingDir, 'fake-jira-state.json'));
+    return {
+      backend: new JcliBackend({ useGlobal: false, venvPath: JCLI_VENV, workingDir }),
+      close: async () => rmSync(workingDir, { recursive: true, force: true })
+    };
+  },
+  rest: async () => {
+    const mock = await startMockJira(FakeJira.fromFixture());
+    return {
+      backend: new RestBackend({ baseUrl: mock.url, apiToken: 'test-token', auth: 'bearer' }),
+      close: mock.close
+    };
+  }
+};
+
+const keys = issues => issues.map(issue => issue.key);
+
+for (const [name, start] of Object.entries(HARNESSES)) {
+  describe(`${name} backend`, () => {
+    let harness;
+    let backend;
+
+    beforeEach(async () => {
+      harness = await start();
+      backend = harness.backend;
+    });
+
+    afterEach(() => harness.close());
+
+    describe('searchIssues', () => {
+      test('returns the matching issues and their total', async () => {
+        const result = await backend.searchIssues('project = "FDP" ORDER BY created DESC');
+        assert.equal(result.issues_count, 5);
+        assert.deepEqual(keys(result.issues), ['FDP-1', 'FDP-2', 'FDP-3', 'FDP-4', 'FDP-5']);
+        assert.equal(result.issues[0].fields.status.name, 'Open');
+      });
+
+      test('honours startAt and maxResults across server pages', async () => {
+        const result = await backend.searchIssues('project = "FDP"', { startAt: 1, maxResults: 3 });
+        assert.equal(result.issues_count, 5);
+        assert.deepEqual(keys(result.issues), ['FDP-2', 'FDP-3', 'FDP-4']);
+      });
+
+      test('includes changelogs only when expanded', async () => {
+        const plain = await backend.searchIssues('key in (FDP-2)');
+        assert.equal(plain.issues[0].changelog, undefined);
+
+        const expanded = await backend.searchIssues('key in (FDP-2)', { expand: ['changelog'] });
+        assert.deepEqual(expanded.issues[0].changelog.histories[0].items, [{ field: 'status', fromString: 'Open', toString: 'In Progress' }]);
+      });
+    });
+
+    describe('getIssue', () => {
+      test('returns the issue in REST shape', async () => {
+        const issue = await backend.getIssue('FDP-1');
+        assert.equal(issue.key, 'FDP-1');
+        assert.equal(issue.fields.summary, 'Login page crashes on submit');
+        assert.deepEqual(issue.fields.status.statusCategory, { key: 'new', name: 'To Do' });
+        assert.equal(issue.fields.assignee.displayName, 'Alice Adams');
+      });
+
+      test('rejects unknown issues', async () => {
+        await assert.rejects(backend.getIssue('FDP-404'), /Issue Does Not Exist/);
+      });
+    });
+
+    describe('transitions', () => {
+      test('lists transitions with their target status', async () => {
+        assert.deepEqual(await backend.getTransitions('FDP-1'), [
+          { id: '11', name: 'Start Progress', to_status: 'In Progress' },
+          { id: '21', name: 'Resolve Issue', to_status: 'Resolved' },
+          { id: '31', name: 'Close Issue', to_status: 'Closed' }
+        ]);
+      });
+
+      test('applies a transition with resolution and comment', async () => {
+        await backend.transitionIssue('FDP-1', { id: '21', name: 'Resolve Issue' }, { resolution: 'Fixed', comment: 'Fixed in 2.4' });
+
+        const issue = await backend.getIssue('FDP-1');
+        assert.equal(issue.fields.status.name, 'Resolved');
+        assert.equal(issue.fields.resolution.name, 'Fixed');
+        assert.equal(issue.fields.comment.comments.at(-1).body, 'Fixed in 2.4');
+      });
+    });
+
+    describe('comments', () => {
+      test('adds and edits a restricted comment', async () => {
+        const visibility = { type: 'role', value: 'Developers' };
+        await backend.addComment('FDP-2', 'Internal note: "see logs"\nline two', visibility);
+
+        let comments = (await backend.getIssue('FDP-2')).fields.comment.comments;
+        assert.equal(comments.length, 1);
+        assert.equal(comments[0].body, 'Internal note: "see logs"\nline two');
+        assert.deepEqual(comments[0].visibility, visibility);
+
+        await backend.editComment('FDP-2', comments[0].id, 'Edited note', visibility);
+        comments = (await backend.getIssue('FDP-2')).fields.comment.comments;
+        assert.equal(comments[0].body, 'Edited note');
+        assert.deepEqual(comments[0].visibility, visibility);
+      });
+
+      test('pages through the comment thread', async () => {
+        for (const body of ['first', 'second', 'third']) {
+          await backend.addComment('FDP-2', body);
+        }
+
+        const page = await backend.getComments('FDP-2', { startAt: 1, maxResults: 1 });
+        assert.equal(page.total, 3);
+        assert.deepEqual(page.comments.map(c => c.body), ['second']);
+      });
+    });
+
+    test('assigns an issue', async () => {
+      await backend.assignIssue('FDP-2', 'dan');
+      assert.equal((await backend.getIssue('FDP-2')).fields.assignee.name, 'dan');
+    });
+
+    test('links issues in reading order', async () => {
+      // "FDP-2 blocks FDP-3"
+      await backend.linkIssues('FDP-2', 'FDP-3', 'Blocks');
+
+      const [outward] = (await backend.getIssue('FDP-2')).fields.issuelinks;
+      assert.equal(outward.type.name, 'Blocks');
+      assert.equal(outward.outwardIssue.key, 'FDP-3');
+
+      const [inward] = (await backend.getIssue('FDP-3')).fields.issuelinks;
+      assert.equal(inward.inwardIssue.key, 'FDP-2');
+    });
+
+    test('updates labels, fix versions, components, priority and assignee', async () => {
+      await backend.updateIssue('FDP-1', {
+        add_labels: ['regression'],
+        remove_labels: ['login'],
+        add_fix_versions: ['2.5'],
+        remove_fix_versions: ['2.4'],
+        add_components: ['Back End'],
+        remove_components: ['UI'],
+        priority: 'Highest',
+        assignee: 'carol'
+      });
+
+      const { fields } = await backend.getIssue('FDP-1');
+      assert.deepEqual(fields.labels, ['regression']);
+      assert.deepEqual(fields.fixVersions, [{ name: '2.5' }]);
+      assert.deepEqual(fields.components, [{ name: 'Back End' }]);
+      assert.equal(fields.priority.name, 'Highest');
+      assert.equal(fields.assignee.name, 'carol');
+    });
+
+    test('creates an issue and returns its key', async () => {
+      const key = await backend.createIssue({ project: 'FDP', issue_type: 'Bug', summary: 'New crash', labels: ['triage'], fix_version: '2.5' });
+      assert.equal(key, 'FDP-6');
+
+      const { fields } = await backend.getIssue(key);
+      assert.equal(fields.summary, 'New crash');
+      assert.deepEqual(fields.labels, ['triage']);
+      assert.deepEqual(fields.fixVersions, [{ name: '2.5' }]);
+    });
+
+    describe('boards', () => {
+      test('lists boards', async () => {
+        const boards = await backend.listBoards();
+        assert.deepEqual(boards.map(({ name: boardName, type }) => ({ name: boardName, type })), [
+          { name: 'Dev Board Legacy', type: 'kanban' },
+          { name: 'Dev Board', type: 'scrum' },
+          { name: 'App Board', type: 'scrum' }
+        ]);
+      });
+
+      test('reports open sprints with issues grouped by board column', async () => {
+        assert.deepEqual(await backend.getBoardSprints('Dev Board'), [
+          {
+            id: 11,
+            name: 'Sprint 2',
+            state: 'active',
+            goal: null,
+            start_date_str: '2024-03-04',
+            end_date_str: '2024-03-15',
+            complete_date_str: null,
+            columns: {
+              'To Do': [{ key: 'FDP-1', summary: 'Login page crashes on submit', status: 'Open', status_category: 'new', assignee: 'Alice Adams' }],
+              'In Progress': [{ key: 'FDP-2', summary: 'Session expires too early', status: 'In Progress', status_category: 'indeterminate', assignee: null }],
+              'Done': [{ key: 'FDP-3', summary: 'Add dark mode', status: 'Resolved', status_category: 'done', assignee: 'Carol Chen' }]
+            }
+          },
+          {
+            id: 12,
+            name: 'Sprint 3',
+            state: 'future',
+            goal: null,
+            start_date_str: null,
+            end_date_str: null,
+            complete_date_str: null,
+            columns: {
+              'To Do': [{ key: 'FDP-4', summary: 'Upgrade logging library', status: 'Open', status_category: 'new', assignee: null }],
+              'In Progress': [],
+              'Done': []
+            }
+          }
+        ]);
+      });
+
+      test('includes closed sprints with showAll', async () => {
+        const sprints = await backend.getBoardSprints('Dev Board', { showAll: true });
+        assert.deepEqual(sprints.map(s => s.name), ['Sprint 1', 'Sprint 2', 'Sprint 3']);
+        assert.equal(sprints[0].complete_date_str, '2024-03-01');
+        assert.equal(sprints[0].goal, 'Ship login fixes');
+      });
+
+      test('filters by sprint name and can skip issues', async () => {
+        const sprints = await backend.getBoardSprints('Dev Board', { sprintName: 'sprint 3', includeIssues: false });
+        assert.deepEqual(sprints.map(s => s.name), ['Sprint 3']);
+        assert.equal(sprints[0].columns, undefined);
+      });
+
+      test('reports only the requested sprints by id', async () => {
+        const sprints = await backend.getBoardSprints('App Board', { showAll: true, sprintIds: [23, 21] });
+        assert.deepEqual(sprints.map(s => s.name), ['App Sprint 2', 'App Sprint 4']);
+        assert.deepEqual(sprints[0].columns, {
+          'To Do': [],
+          'In Progress': [{ key: 'APP-3', summary: 'Migrate sessions to Redis', status: 'In Progress', status_category: 'indeterminate', assignee: 'Alice Adams' }],
+          'Done': [
+            { key: 'APP-4', summary: 'Profile page', status: 'Resolved', status_category: 'done', assignee: 'Carol Chen' },
+            { key: 'APP-5', summary: 'Audit log', status: 'Resolved', status_category: 'done', assignee: 'Bob Brown' }
+          ]
+        });
+      });
+
+      test('matches the board name exactly, ignoring case', async () => {
+        const sprints = await backend.getBoardSprints('dev board');
+        assert.deepEqual(sprints.map(s => s.id), [11, 12]);
+
+        await assert.rejects(backend.getBoardSprints('Dev'), /Board not found: Dev/);
+      });
+    });
+  });
+}
@@ -0,0 +1,63 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMultiProfileServer, recordSearches, withProfile } from './helpers.js';
+
+const ISSUES = [
+  { key: 'FDP-1', fields: { summary: 'Login crash', labels: [] } },
+  { key: 'FDP-2', fields: { summary: 'Session timeout', labels: ['triage'] } }
+];
+
+const parse = result => JSON.parse(result.content[0].text);
+
+describe('bulk_update confirmation tokens', () => {
+  test('apply the previewed issues in the profile that previewed them', async () => {
+    const server = createMultiProfileServer();
+    const calls = recordSearches(server, ISSUES);
+    const changes = { add_labels: ['triage'] };
+
+    const preview = parse(await withProfile(server, 'upstream', () => server.bulkUpdate('labels is EMPTY', changes)));
+    assert.equal(preview.issues_to_change, 1);
+
+    const applied = parse(await withProfile(server, 'upstream', () => server.bulkUpdate('labels is EMPTY', changes, preview.confirmation_token)));
+    assert.equal(applied.summary.succeeded, 1);
+    assert.deepEqual(calls.filter(c => c.update), [{ profile: 'upstream', update: 'FDP-1', changes }]);
+  });
+
+  test('are rejected under a different profile', async () => {
+    const server = createMultiProfileServer();
+    const calls = recordSearches(server, ISSUES);
+    const changes = { add_labels: ['triage'] };
+
+    const preview = parse(await withProfile(server, 'upstream', () => server.bulkUpdate('labels is EMPTY', changes)));
+    const result = await withProfile(server, 'default', () => server.bulkUpdate('labels is EMPTY', changes, preview.confirmation_token));
+    assert.equal(result.isError, true);
+    assert.match(result.content[0].text, /issued for profile "upstream"/);
+    assert.equal(calls.filter(c => c.update).length, 0);
+
+    // The token survives the mismatch, so the caller can retry with the right profile
+    const retried = parse(await withProfile(server, 'upstream', () => server.bulkUpdate('labels is EMPTY', changes, preview.confirmation_token)));
+    assert.equal(retried.summary.succeeded, 1);
+  });
+});
+
+describe('bulk_update changes', () => {
+  test('reject a string where a list is expected instead of splitting it', async () => {
+    const server = createMultiProfileServer();
+    const calls = recordSearches(server, ISSUES);
+
+    const result = await server.bulkUpdate('labels is EMPTY', { add_labels: 'urgent' });
+    assert.equal(result.isError, true);
+    assert.match(result.content[0].text, /add_labels must be a list of non-empty strings/);
+    assert.equal(calls.length, 0);
+  });
+
+  test('report missing changes as such', async () => {
+    const server = createMultiProfileServer();
+    recordSearches(server, ISSUES);
+
+    for (const changes of [undefined, null, {}, { add_labels: [] }]) {
+      const result = await server.bulkUpdate('labels is EMPTY', changes);
+      assert.equal(result.content[0].text, 'Error running bulk update: No changes specified');
+    }
+  });
+});
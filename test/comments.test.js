@@ -0,0 +1,39 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from './helpers.js';
+import { FakeJira } from './fake-jira.js';
+import { startMockJira } from './mock-jira-server.js';
+
+const parse = result => JSON.parse(result.content[0].text);
+
+describe('get_issue_comments', () => {
+  let mock;
+
+  before(async () => {
+    const fake = FakeJira.fromFixture();
+    ['one', 'two', 'three', 'four', 'five'].forEach(body => fake.addComment('FDP-1', body));
+    mock = await startMockJira(fake);
+  });
+
+  after(() => mock.close());
+
+  test('pages through the comment endpoint rather than the embedded thread', async () => {
+    const server = createServer({ JIRA_BASE_URL: mock.url });
+
+    const page = parse(await server.getIssueComments('FDP-1', 3, 2));
+    assert.equal(page.total_comments, 5);
+    assert.equal(page.is_last, true);
+    assert.deepEqual(page.comments.map(c => c.body), ['four', 'five']);
+    assert.deepEqual(mock.requests.filter(r => r.path === '/rest/api/2/issue/FDP-1/comment').map(r => r.query),
+      [{ startAt: '3', maxResults: '2' }]);
+  });
+
+  test('reports the last page as empty past the end', async () => {
+    const server = createServer({ JIRA_BASE_URL: mock.url });
+
+    const page = parse(await server.getIssueComments('FDP-1', 10, 2));
+    assert.equal(page.total_comments, 5);
+    assert.equal(page.is_last, true);
+    assert.deepEqual(page.comments, []);
+  });
+});
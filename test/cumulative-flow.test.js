@@ -0,0 +1,103 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from './helpers.js';
+import { FakeJira } from './fake-jira.js';
+import { startMockJira } from './mock-jira-server.js';
+
+const parse = result => JSON.parse(result.content[0].text);
+
+const issue = key => ({
+  key: key,
+  fields: { created: '2024-03-01T00:00:00.000+0000', status: { name: 'Open', statusCategory: { key: 'new' } } },
+  changelog: { histories: [] }
+});
+
+describe('get_cumulative_flow', () => {
+  let mock;
+
+  before(async () => {
+    mock = await startMockJira(FakeJira.fromFixture());
+  });
+
+  after(() => mock.close());
+
+  test('counts each band at the end of every day across the board\'s sprints', async () => {
+    const server = createServer({ JIRA_BASE_URL: mock.url });
+
+    const flow = parse(await server.getCumulativeFlow('App Board', undefined, '2024-03-04', '2024-03-22'));
+    assert.deepEqual(flow.scope, { board_name: 'App Board', sprints: ['App Sprint 3', 'App Sprint 4'] });
+    assert.equal(flow.issues_tracked, 5);
+    assert.deepEqual(flow.series.map(day => [day.date.slice(5), day.todo, day.in_progress, day.done]), [
+      ['03-04', 3, 1, 0],
+      ['03-05', 2, 2, 0],
+      ['03-06', 2, 2, 0],
+      ['03-07', 2, 2, 0],
+      ['03-08', 1, 3, 0],
+      ['03-09', 1, 3, 0],
+      ['03-10', 1, 3, 0],
+      ['03-11', 1, 2, 1],
+      ['03-12', 1, 2, 1],
+      ['03-13', 1, 1, 2],
+      // APP-9 is created, then started on the 18th and waits for QA from the 20th
+      ['03-14', 2, 1, 2],
+      ['03-15', 2, 1, 2],
+      ['03-16', 2, 1, 2],
+      ['03-17', 2, 1, 2],
+      ['03-18', 1, 2, 2],
+      ['03-19', 1, 2, 2],
+      ['03-20', 1, 2, 2],
+      ['03-21', 1, 2, 2],
+      ['03-22', 1, 2, 2]
+    ]);
+    assert.deepEqual(flow.bands.in_progress, { start: 1, end: 2, first_window_avg: 2.3, last_window_avg: 1.7, trend: 'STABLE' });
+    assert.deepEqual(flow.bands.done, { start: 0, end: 2, first_window_avg: 0, last_window_avg: 2, trend: 'WIDENING' });
+    assert.deepEqual(flow.notes.slice(1), []);
+  });
+
+  test('flags stages nothing has left lately and a done band that stopped growing', async () => {
+    const server = createServer({ JIRA_BASE_URL: mock.url });
+
+    const flow = parse(await server.getCumulativeFlow('App Board', undefined, '2024-03-04', '2024-03-22', 3));
+    assert.deepEqual(flow.stages.map(stage => [stage.status, stage.issue_count, stage.exits_last_period, stage.oldest_days_in_status, stage.stalled]), [
+      ['In Progress', 1, 1, 39.6, false],
+      ['Waiting for QA', 1, 0, 2.6, false],
+      ['Open', 1, 0, 21.6, true]
+    ]);
+    assert.deepEqual(flow.flags, [
+      {
+        type: 'STALLED_STAGE',
+        status: 'Open',
+        message: 'Nothing has left "Open" in 3 days while 1 issue(s) wait there (oldest 21.6 days)'
+      },
+      {
+        type: 'NO_THROUGHPUT',
+        band: 'done',
+        message: 'Done band has not grown in 3 days with 2 issue(s) in progress'
+      }
+    ]);
+  });
+
+  test('notes a JQL scope that hit the issue limit', async () => {
+    const server = createServer();
+    server.profiles.forEach(profile => {
+      profile.backend = { searchIssues: async () => ({ issues_count: 1500, issues: [issue('FDP-1')] }) };
+    });
+
+    const flow = parse(await server.getCumulativeFlow(undefined, 'project = FDP', '2024-03-04', '2024-03-15'));
+    assert.deepEqual(flow.notes.slice(1), ['Scope hit the 1000 issue limit (1500 matching); narrow the JQL for complete data']);
+  });
+
+  test('notes sprint issues that could not be loaded', async () => {
+    const server = createServer();
+    const sprint = { id: 1, name: 'Sprint 1', state: 'active', start_date_str: '2024-03-04', end_date_str: '2024-03-15' };
+    server.profiles.forEach(profile => {
+      profile.backend = {
+        getBoardSprints: async (board, { includeIssues }) => [includeIssues === false ? sprint : { ...sprint, columns: { 'To Do': [{ key: 'FDP-1' }, { key: 'FDP-2' }] } }],
+        searchIssues: async () => ({ issues_count: 1, issues: [issue('FDP-1')] })
+      };
+    });
+
+    const flow = parse(await server.getCumulativeFlow('Dev Board', undefined, '2024-03-04', '2024-03-15'));
+    assert.deepEqual(flow.notes.slice(1), ['Only 1 of the 2 sprint issues could be loaded; the rest are missing from the chart']);
+  });
+});
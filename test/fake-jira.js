@@ -0,0 +1,275 @@
+import { readFileSync, writeFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+
+const FIXTURE = fileURLToPath(new URL('./fixtures/jira.json', import.meta.url));
+
+/**
+ * Error carrying the HTTP status the REST mock answers with (jcli stub exits non-zero instead).
+ */
+export class FakeJiraError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * In-memory JIRA instance shared by the REST mock server and the jcli stub, so both
+ * backends are tested against the same data and the same write semantics.
+ */
+export class FakeJira {
+  constructor(state) {
+    this.state = state;
+  }
+
+  static fromFixture() {
+    return new FakeJira(JSON.parse(readFileSync(FIXTURE, 'utf8')));
+  }
+
+  static load(file) {
+    return new FakeJira(JSON.parse(readFileSync(file, 'utf8')));
+  }
+
+  save(file) {
+    writeFileSync(file, JSON.stringify(this.state));
+  }
+
+  rawIssue(key) {
+    const issue = this.state.issues.find(i => i.key.toLowerCase() === String(key).toLowerCase());
+    if (!issue) {
+      throw new FakeJiraError(404, `Issue Does Not Exist: ${key}`);
+    }
+    return issue;
+  }
+
+  status(id) {
+    return this.state.statuses[id];
+  }
+
+  render(raw, { changelog = false } = {}) {
+    const issue = JSON.parse(JSON.stringify(raw));
+    issue.fields.status = this.status(raw.fields.status);
+    issue.fields.issuelinks = issue.fields.issuelinks || [];
+    issue.fields.comment = { comments: issue.fields.comments || [], total: (issue.fields.comments || []).length };
+    issue.fields.resolution = issue.fields.resolution || null;
+    delete issue.fields.comments;
+    if (!changelog) {
+      delete issue.changelog;
+    }
+    return issue;
+  }
+
+  fields() {
+    return this.state.fields;
+  }
+
+  getIssue(key) {
+    return this.render(this.rawIssue(key));
+  }
+
+  search(jql, { startAt = 0, maxResults = 50, expand = [] } = {}) {
+    // Just enough JQL for the queries the backends and analytics tools build: key and project lists,
+    // fix versions and the done / not done status category. Date clauses are ignored - callers filter by date anyway.
+    const list = values => values.split(',').map(value => value.trim().replace(/"/g, '').toUpperCase());
+    let matches = this.state.issues;
+    const keys = jql.match(/\bkey in \(([^)]*)\)/i);
+    if (keys) {
+      const wanted = list(keys[1]);
+      matches = matches.filter(issue => wanted.includes(issue.key));
+    }
+    const project = jql.match(/\bproject (?:= "?([A-Za-z0-9_]+)"?|in \(([^)]*)\))/i);
+    if (project) {
+      const wanted = list(project[1] || project[2]);
+      matches = matches.filter(issue => wanted.includes(issue.key.split('-')[0]));
+    }
+    const version = jql.match(/\bfixVersion ~ "([^"]*)"/i);
+    if (version) {
+      matches = matches.filter(issue => issue.fields.fixVersions.some(v => v.name.includes(version[1])));
+    }
+    // "NOT (statusCategory ...) OR updated >= ..." also lets recently updated done issues through, so it isn't a filter
+    const category = jql.match(/(NOT )?\(statusCategory = "Done"\)( OR)?/i);
+    if (category && !category[2]) {
+      matches = matches.filter(issue => (this.status(issue.fields.status).statusCategory.key === 'done') !== Boolean(category[1]));
+    }
+
+    return {
+      issues_count: matches.length,
+      issues: matches.slice(startAt, startAt + maxResults).map(issue => this.render(issue, { changelog: expand.includes('changelog') }))
+    };
+  }
+
+  createIssue(fields) {
+    const number = this.state.issues.filter(issue => issue.key.startsWith(`${fields.project}-`)).length + 1;
+    const key = `${fields.project}-${number}`;
+    this.state.issues.push({
+      key: key,
+      fields: {
+        summary: fields.summary,
+        description: fields.description || null,
+        status: '1',
+        issuetype: { name: fields.issue_type },
+        priority: { name: fields.priority || 'Medium' },
+        assignee: fields.assignee ? { name: fields.assignee, displayName: fields.assignee } : null,
+        reporter: { name: 'test', displayName: 'Test User' },
+        created: '2024-03-08T09:00:00.000+0000',
+        updated: '2024-03-08T09:00:00.000+0000',
+        components: (fields.components || []).map(name => ({ name })),
+        labels: fields.labels || [],
+        fixVersions: fields.fix_version ? [{ name: fields.fix_version }] : []
+      },
+      changelog: { histories: [] }
+    });
+    return key;
+  }
+
+  getTransitions(key) {
+    const issue = this.rawIssue(key);
+    return this.state.transitions
+      .filter(transition => transition.to !== issue.fields.status)
+      .map(transition => ({ id: transition.id, name: transition.name, to: this.status(transition.to) }));
+  }
+
+  transition(key, transitionIdOrName, { resolution, comment } = {}) {
+    const issue = this.rawIssue(key);
+    const transition = this.getTransitions(key)
+      .find(t => t.id === String(transitionIdOrName) || t.name.toLowerCase() === String(transitionIdOrName).toLowerCase());
+    if (!transition) {
+      throw new FakeJiraError(400, `Transition ${transitionIdOrName} is not valid for ${key}`);
+    }
+    issue.fields.status = transition.to.id;
+    if (resolution) {
+      issue.fields.resolution = { name: resolution };
+    }
+    if (comment) {
+      this.addComment(key, comment);
+    }
+  }
+
+  comments(key, { startAt = 0, maxResults = 50 } = {}) {
+    const comments = this.rawIssue(key).fields.comments || [];
+    return { startAt, maxResults, total: comments.length, comments: comments.slice(startAt, startAt + maxResults) };
+  }
+
+  addComment(key, body, visibility) {
+    const issue = this.rawIssue(key);
+    issue.fields.comments = issue.fields.comments || [];
+    const comment = {
+      id: String(1000 + this.state.issues.reduce((count, i) => count + (i.fields.comments || []).length, 0)),
+      author: { displayName: 'Test User' },
+      created: '2024-03-08T09:00:00.000+0000',
+      body: body
+    };
+    if (visibility) {
+      comment.visibility = visibility;
+    }
+    issue.fields.comments.push(comment);
+    return comment;
+  }
+
+  editComment(key, commentId, body, visibility) {
+    const comment = (this.rawIssue(key).fields.comments || []).find(c => c.id === String(commentId));
+    if (!comment) {
+      throw new FakeJiraError(404, `Comment ${commentId} not found on ${key}`);
+    }
+    comment.body = body;
+    if (visibility) {
+      comment.visibility = visibility;
+    }
+  }
+
+  assign(key, user) {
+    this.rawIssue(key).fields.assignee = { name: user, displayName: user };
+  }
+
+  link(sourceKey, targetKey, typeName) {
+    // Reads as "<source> <outward description> <target>", e.g. "FDP-1 blocks FDP-2"
+    const type = this.state.link_types[typeName];
+    if (!type) {
+      throw new FakeJiraError(404, `No issue link type with name '${typeName}' found`);
+    }
+    const source = this.rawIssue(sourceKey);
+    const target = this.rawIssue(targetKey);
+    (source.fields.issuelinks = source.fields.issuelinks || []).push({ type, outwardIssue: { key: target.key } });
+    (target.fields.issuelinks = target.fields.issuelinks || []).push({ type, inwardIssue: { key: source.key } });
+  }
+
+  update(key, changes) {
+    const fields = this.rawIssue(key).fields;
+    const apply = (field, add = [], remove = [], toValue = value => value, sameAs = (a, b) => a === b) => {
+      fields[field] = fields[field].filter(existing => !remove.some(value => sameAs(existing, toValue(value))));
+      add.forEach(value => {
+        if (!fields[field].some(existing => sameAs(existing, toValue(value)))) fields[field].push(toValue(value));
+      });
+    };
+    const byName = (a, b) => a.name === b.name;
+
+    apply('labels', changes.add_labels, changes.remove_labels);
+    apply('fixVersions', changes.add_fix_versions, changes.remove_fix_versions, name => ({ name }), byName);
+    apply('components', changes.add_components, changes.remove_components, name => ({ name }), byName);
+    if (changes.priority) fields.priority = { name: changes.priority };
+    if (changes.assignee) fields.assignee = { name: changes.assignee, displayName: changes.assignee };
+  }
+
+  boards() {
+    return this.state.boards;
+  }
+
+  board(name) {
+    const board = this.state.boards.find(b => b.name.toLowerCase() === String(name).toLowerCase());
+    if (!board) {
+      throw new FakeJiraError(404, `Board not found: ${name}`);
+    }
+    return board;
+  }
+
+  boardById(id) {
+    const board = this.state.boards.find(b => String(b.id) === String(id));
+    if (!board) {
+      throw new FakeJiraError(404, `Board ${id} does not exist`);
+    }
+    return board;
+  }
+
+  sprint(board, sprintId) {
+    const sprint = board.sprints.find(s => String(s.id) === String(sprintId));
+    if (!sprint) {
+      throw new FakeJiraError(404, `Sprint ${sprintId} does not exist`);
+    }
+    return sprint;
+  }
+
+  /**
+   * The report `jcli boards sprints --json` prints: sprints with their issues grouped by board column.
+   */
+  sprintReport(boardName, { sprintName, showAll = false, includeIssues = true } = {}) {
+    const board = this.board(boardName);
+    return board.sprints
+      .filter(sprint => showAll || sprint.state !== 'closed')
+      .filter(sprint => !sprintName || sprint.name.toLowerCase().includes(sprintName.toLowerCase()))
+      .map(sprint => {
+        const report = {
+          id: sprint.id,
+          name: sprint.name,
+          state: sprint.state,
+          goal: sprint.goal || null,
+          start_date_str: sprint.startDate?.substring(0, 10) || null,
+          end_date_str: sprint.endDate?.substring(0, 10) || null,
+          complete_date_str: sprint.completeDate?.substring(0, 10) || null
+        };
+        if (includeIssues) {
+          report.columns = Object.fromEntries(board.columns.map(column => [column.name, []]));
+          sprint.issues.map(key => this.getIssue(key)).forEach(issue => {
+            const column = board.columns.find(c => c.statuses.includes(issue.fields.status.id));
+            report.columns[column.name].push({
+              key: issue.key,
+              summary: issue.fields.summary,
+              status: issue.fields.status.name,
+              status_category: issue.fields.status.statusCategory.key,
+              assignee: issue.fields.assignee?.displayName || null
+            });
+          });
+        }
+        return report;
+      });
+  }
+}
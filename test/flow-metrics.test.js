@@ -0,0 +1,55 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from './helpers.js';
+import { FakeJira } from './fake-jira.js';
+import { startMockJira } from './mock-jira-server.js';
+
+const NOW = new Date('2024-03-25T00:00:00Z');
+
+const parse = result => JSON.parse(result.content[0].text);
+
+describe('get_flow_metrics', () => {
+  let mock;
+
+  before(async () => {
+    mock = await startMockJira(FakeJira.fromFixture());
+  });
+
+  after(() => mock.close());
+
+  test('summarizes cycle and lead times of work finished in the window', async t => {
+    t.mock.timers.enable({ apis: ['Date'], now: NOW });
+    const server = createServer({ JIRA_BASE_URL: mock.url });
+
+    // From 2024-02-24: APP-4, APP-5, APP-6 and APP-7; APP-1 and APP-2 finished earlier
+    const flow = parse(await server.getFlowMetrics('APP', 30));
+    assert.equal(flow.analysis_period.start_date, '2024-02-24');
+    assert.equal(flow.completed_issues, 4);
+    assert.deepEqual(flow.overall, {
+      cycle_time_days: { count: 4, median: 7.5, p85: 8, p95: 8, average: 6.5 },
+      lead_time_days: { count: 4, median: 12.5, p85: 14.1, p95: 14.7, average: 12.5 }
+    });
+    assert.deepEqual(Object.entries(flow.by_issue_type).map(([type, times]) => [type, times.cycle_time_days.count, times.cycle_time_days.median]), [
+      ['Story', 3, 8],
+      ['Bug', 1, 3]
+    ]);
+    assert.deepEqual(flow.slowest_issues.map(i => [i.key, i.cycle_time_days, i.lead_time_days]), [
+      ['APP-5', 8, 15],
+      ['APP-6', 8, 12],
+      ['APP-4', 7, 13],
+      ['APP-7', 3, 10]
+    ]);
+    assert.equal(flow.service_level_note, '85% of work items finished within 8 days of starting');
+    assert.deepEqual(flow.notes, []);
+  });
+
+  test('notes completed work that hit the issue limit', async () => {
+    const server = createServer();
+    server.profiles.forEach(profile => {
+      profile.backend = { searchIssues: async () => ({ issues_count: 1200, issues: [] }) };
+    });
+
+    const flow = parse(await server.getFlowMetrics('FDP', 90));
+    assert.deepEqual(flow.notes, ['Completed issues hit the 1000 issue limit (1200 matching); narrow the scope or shorten days_back for complete figures']);
+  });
+});
@@ -0,0 +1,109 @@
+import { after } from 'node:test';
+import { mkdtempSync, writeFileSync, chmodSync, mkdirSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { JiraServer } from '../server.js';
+
+// Environment variables a JiraServer reads at construction; cleared so the host's .env never leaks in
+const SERVER_ENV_VARS = [
+  'JIRA_CONFIG_FILE', 'JIRA_DEFAULT_PROJECT', 'JIRA_BOARDS', 'JIRA_BACKEND', 'JCLI_USE_GLOBAL', 'JCLI_VENV_PATH',
+  'JCLI_WORKING_DIR', 'JIRA_BASE_URL', 'JIRA_USERNAME', 'JIRA_API_TOKEN', 'JIRA_AUTH', 'JIRA_STATUS_CATEGORIES',
+  'JIRA_STORY_POINTS_FIELD', 'JIRA_CACHE_TTL'
+];
+
+/**
+ * Build a JiraServer from the given environment, restoring process.env afterwards.
+ * Defaults to a REST profile pointing at an unreachable port, which is enough for pure helpers.
+ */
+export function createServer(env = {}) {
+  const saved = Object.fromEntries(SERVER_ENV_VARS.map(name => [name, process.env[name]]));
+  const log = console.error;
+  SERVER_ENV_VARS.forEach(name => delete process.env[name]);
+  Object.assign(process.env, {
+    JIRA_DEFAULT_PROJECT: 'FDP',
+    JIRA_BACKEND: 'rest',
+    JIRA_BASE_URL: 'http://127.0.0.1:9',
+    JIRA_API_TOKEN: 'test-token',
+    ...env
+  });
+  
+  // The startup banner is noise in test output
+  console.error = () => {};
+  try {
+    return new JiraServer();
+  } finally {
+    console.error = log;
+    SERVER_ENV_VARS.forEach(name => {
+      if (saved[name] === undefined) delete process.env[name];
+      else process.env[name] = saved[name];
+    });
+  }
+}
+
+/**
+ * Build a JiraServer with two REST profiles, "default" and "upstream", from a temporary config file.
+ * The file is only read at construction, so it is removed again straight away.
+ */
+export function createMultiProfileServer() {
+  const dir = mkdtempSync(join(tmpdir(), 'jiracli-mcp-test-'));
+  const configFile = join(dir, 'profiles.json');
+  writeFileSync(configFile, JSON.stringify({
+    default_profile: 'default',
+    profiles: {
+      default: { backend: 'rest', base_url: 'http://127.0.0.1:9', api_token: 'a', default_project: 'FDP' },
+      upstream: { backend: 'rest', base_url: 'http://127.0.0.1:9', api_token: 'b', default_project: 'UP' }
+    }
+  }));
+  try {
+    return createServer({ JIRA_CONFIG_FILE: configFile });
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Point every profile's backend at a stub that records each search and returns the given issues.
+ */
+export function recordSearches(server, issues = []) {
+  const searches = [];
+  server.profiles.forEach(profile => {
+    profile.backend = {
+      searchIssues: async (jql, options = {}) => {
+        searches.push({ profile: profile.name, jql, ...options });
+        const start = options.startAt || 0;
+        return { issues_count: issues.length, issues: issues.slice(start, start + (options.maxResults ?? issues.length)) };
+      },
+      updateIssue: async (issueKey, changes) => {
+        searches.push({ profile: profile.name, update: issueKey, changes });
+      }
+    };
+  });
+  return searches;
+}
+
+/**
+ * Run fn as if the current tool call selected the named profile.
+ */
+export function withProfile(server, name, fn) {
+  return server.requestContext.run({ profile: server.profiles.get(name) }, fn);
+}
+
+/**
+ * Create a throwaway venv-style directory whose bin/jcli is the given script.
+ * Call it while defining a suite; the directory is removed once that suite has run.
+ */
+export function createJcliStub(script) {
+  const dir = mkdtempSync(join(tmpdir(), 'jiracli-mcp-test-'));
+  mkdirSync(join(dir, 'bin'));
+  writeFileSync(join(dir, 'bin', 'jcli'), script);
+  chmodSync(join(dir, 'bin', 'jcli'), 0o755);
+  after(() => rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/**
+ * Replace every JQL string literal with "" so only the query's structure is left to compare.
+ */
+export function jqlSkeleton(jql) {
+  return jql.replace(/"(?:[^"\\]|\\.)*"/g, '""');
+}
@@ -0,0 +1,147 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync } from 'fs';
+import { join } from 'path';
+import { JcliBackend } from '../server.js';
+import { createServer, createJcliStub, jqlSkeleton } from './helpers.js';
+
+const HOSTILE_VALUES = [
+  'Done" OR project = SECRET OR status = "x',
+  'back\\slash\\" OR 1=1',
+  'line one\nline two\r\n) OR (project = SECRET',
+  '$(touch pwned)',
+  '`touch pwned`',
+  'a; touch pwned; echo',
+  'x || touch pwned && echo',
+  '--jql=project = SECRET',
+  'summary ~ "*" ORDER BY key'
+];
+
+// A JQL string literal: quoted, with every inner quote or backslash escaped and no raw line breaks
+const SINGLE_JQL_STRING = /^"(?:[^"\\\r\n]|\\.)*"$/;
+
+describe('jqlLiteral', () => {
+  const server = createServer();
+  
+  for (const value of HOSTILE_VALUES) {
+    test(`keeps ${JSON.stringify(value)} inside one string literal`, () => {
+      const literal = server.jqlLiteral(value);
+      assert.match(literal, SINGLE_JQL_STRING);
+      
+      // Unescaping gives the value back, with line breaks folded to spaces
+      const unescaped = literal.slice(1, -1).replace(/\\(.)/g, '$1');
+      assert.equal(unescaped, value.replace(/[\r\n\t]+/g, ' '));
+    });
+  }
+  
+  test('stringifies non-string values', () => {
+    assert.equal(server.jqlLiteral(42), '"42"');
+  });
+});
+
+describe('jqlTextTerm', () => {
+  const server = createServer();
+  
+  test('drops Lucene operators before quoting', () => {
+    const term = server.jqlTextTerm('crash* AND (login || "sso") -beta +fix ~2 title:x [a TO b] {c} ^3 !d ? back\\slash / e&f');
+    assert.match(term, SINGLE_JQL_STRING);
+    assert.doesNotMatch(term.slice(1, -1), /[+\-&|!(){}[\]^"~*?:\\/]/);
+    assert.equal(term, '"crash AND login sso beta fix 2 title x a TO b c 3 d back slash e f"');
+  });
+  
+  for (const value of HOSTILE_VALUES) {
+    test(`neutralises ${JSON.stringify(value)}`, () => {
+      const term = server.jqlTextTerm(value);
+      assert.match(term, SINGLE_JQL_STRING);
+      assert.doesNotMatch(term, /[\r\n]/);
+    });
+  }
+});
+
+describe('buildStructuredJql', () => {
+  const server = createServer();
+  
+  test('keeps hostile filter values out of the query structure', () => {
+    const hostile = HOSTILE_VALUES[0];
+    const jql = server.buildStructuredJql({
+      status: [hostile, HOSTILE_VALUES[2]],
+      issue_type: hostile,
+      components: [HOSTILE_VALUES[1]],
+      labels: [HOSTILE_VALUES[3], HOSTILE_VALUES[5]],
+      assignee: hostile
+    }, 'FDP" OR project = "SECRET', HOSTILE_VALUES[8]);
+    
+    assert.equal(
+      jqlSkeleton(jql),
+      'project = "" AND status in ("", "") AND issuetype = "" AND component = "" AND labels in ("", "") AND assignee = "" ' +
+      'AND (summary ~ "" OR description ~ "" OR comment ~ "") ORDER BY created DESC'
+    );
+  });
+  
+  test('maps assignee shortcuts to JQL functions rather than literals', () => {
+    assert.match(server.buildStructuredJql({ assignee: 'me' }, 'FDP'), /assignee = currentUser\(\)/);
+    assert.match(server.buildStructuredJql({ assignee: 'unassigned' }, 'FDP'), /assignee is EMPTY/);
+  });
+  
+  test('rejects date filters that are not dates or relative periods', () => {
+    for (const value of ['2024-01-01" OR project = "SECRET', '-7d OR 1=1', 'now()', '2024-01-01\n']) {
+      assert.throws(() => server.buildStructuredJql({ created_after: value }, 'FDP'), /created_after must be/);
+    }
+  });
+  
+  test('rejects sort fields that are not plain identifiers', () => {
+    for (const value of ['created; DROP', 'created DESC, key', 'cf[10016]']) {
+      assert.throws(() => server.buildStructuredJql({ sort_by: value }, 'FDP'), /Invalid sort_by field/);
+    }
+  });
+});
+
+describe('assertIssueKey', () => {
+  const server = createServer();
+  
+  test('accepts project keys with digits and underscores', () => {
+    for (const key of ['FDP-1', 'PROJ2-456', 'ab_c-10']) {
+      assert.equal(server.assertIssueKey(key), key);
+    }
+  });
+  
+  test('rejects anything that is not a bare issue key', () => {
+    for (const key of ['FDP-1; rm -rf /', '$(id)', '`id`', 'FDP-1 OR 1=1', 'FDP-1\n', '\nFDP-1', '../FDP-1', '-1', 'FDP-', 'FDP-1a', '--help', '', null, undefined, 123, ['FDP-1']]) {
+      assert.throws(() => server.assertIssueKey(key), /Invalid issue key/, `accepted ${JSON.stringify(key)}`);
+    }
+  });
+  
+  test('tools refuse bad keys before reaching the backend', async () => {
+    const result = await server.getIssueDetails('FDP-1; touch pwned');
+    assert.equal(result.isError, true);
+    assert.match(result.content[0].text, /Invalid issue key/);
+  });
+});
+
+describe('JcliBackend.execute', () => {
+  // Echoes its argv back as JSON, the way jcli's own --json output would come back
+  const venv = createJcliStub('#!/usr/bin/env node\nprocess.stdout.write(JSON.stringify(process.argv.slice(2)));\n');
+  const backend = new JcliBackend({ useGlobal: false, venvPath: venv, workingDir: venv });
+  
+  test('hands hostile values to jcli as argv, byte for byte', async () => {
+    const args = ['issues', 'list', '--jql', ...HOSTILE_VALUES];
+    assert.deepEqual(JSON.parse(await backend.execute(args)), args);
+  });
+  
+  test('never lets a shell interpret the arguments', async () => {
+    await backend.execute(['$(touch pwned)', '`touch pwned`', 'x; touch pwned', 'x && touch pwned', 'x | touch pwned']);
+    assert.equal(existsSync(join(venv, 'pwned')), false);
+  });
+  
+  test('passes escaped JQL through searchIssues unchanged', async () => {
+    const server = createServer();
+    const jql = `project = ${server.jqlLiteral(HOSTILE_VALUES[0])} AND text ~ ${server.jqlTextTerm(HOSTILE_VALUES[3])}`;
+    const argv = await backend.searchIssues(jql, { maxResults: 5 });
+    assert.equal(argv[argv.indexOf('--jql') + 1], jql);
+  });
+  
+  test('keeps issue-taking commands behind an end-of-options marker', async () => {
+    const argv = JSON.parse(await backend.execute(['issues', 'assign', '--', 'FDP-1', '--help']));
+    assert.deepEqual(argv.slice(-3), ['--', 'FDP-1', '--help']);
+  });
+});
@@ -0,0 +1,149 @@
+import { createServer } from 'http';
+import { FakeJiraError } from './fake-jira.js';
+
+// Small pages force the backend through its pagination loops
+const PAGE_SIZE = 2;
+
+/**
+ * Serve a FakeJira over the REST v2 and Agile 1.0 endpoints RestBackend uses.
+ * Resolves to { url, requests, close }; every request is recorded as { method, path, query, body }.
+ */
+export function startMockJira(fake, { token = 'test-token' } = {}) {
+  const requests = [];
+  const routes = [
+    ['GET', /^\/rest\/api\/2\/search$/, ({ query }) => {
+      const startAt = Number(query.get('startAt') || 0);
+      const maxResults = Math.min(Number(query.get('maxResults') || 50), PAGE_SIZE);
+      const result = fake.search(query.get('jql') || '', { startAt, maxResults, expand: (query.get('expand') || '').split(',') });
+      return { startAt, maxResults, total: result.issues_count, issues: result.issues };
+    }],
+    ['POST', /^\/rest\/api\/2\/issue$/, ({ body }) => {
+      const fields = body.fields;
+      const key = fake.createIssue({
+        project: fields.project.key,
+        issue_type: fields.issuetype.name,
+        summary: fields.summary,
+        description: fields.description,
+        components: (fields.components || []).map(c => c.name),
+        labels: fields.labels,
+        priority: fields.priority?.name,
+        assignee: fields.assignee?.name || fields.assignee?.accountId,
+        fix_version: fields.fixVersions?.[0]?.name
+      });
+      return { id: '99999', key };
+    }],
+    ['GET', /^\/rest\/api\/2\/issue\/([^/]+)$/, ({ params }) => fake.getIssue(params[0])],
+    ['PUT', /^\/rest\/api\/2\/issue\/([^/]+)$/, ({ params, body }) => {
+      // Translate the update operations back into the backend-neutral change set
+      const values = (field, op, toValue = value => value) => (body.update?.[field] || []).filter(o => op in o).map(o => toValue(o[op]));
+      fake.update(params[0], {
+        add_labels: values('labels', 'add'),
+        remove_labels: values('labels', 'remove'),
+        add_fix_versions: values('fixVersions', 'add', v => v.name),
+        remove_fix_versions: values('fixVersions', 'remove', v => v.name),
+        add_components: values('components', 'add', v => v.name),
+        remove_components: values('components', 'remove', v => v.name),
+        priority: body.fields?.priority?.name,
+        assignee: body.fields?.assignee?.name || body.fields?.assignee?.accountId
+      });
+      return null;
+    }],
+    ['GET', /^\/rest\/api\/2\/issue\/([^/]+)\/transitions$/, ({ params }) => ({ transitions: fake.getTransitions(params[0]) })],
+    ['POST', /^\/rest\/api\/2\/issue\/([^/]+)\/transitions$/, ({ params, body }) => {
+      fake.transition(params[0], body.transition.id, {
+        resolution: body.fields?.resolution?.name,
+        comment: body.update?.comment?.[0]?.add?.body
+      });
+      return null;
+    }],
+    ['GET', /^\/rest\/api\/2\/issue\/([^/]+)\/comment$/, ({ params, query }) => fake.comments(params[0], {
+      startAt: Number(query.get('startAt') || 0),
+      maxResults: Number(query.get('maxResults') || 50)
+    })],
+    ['POST', /^\/rest\/api\/2\/issue\/([^/]+)\/comment$/, ({ params, body }) => fake.addComment(params[0], body.body, body.visibility)],
+    ['PUT', /^\/rest\/api\/2\/issue\/([^/]+)\/comment\/([^/]+)$/, ({ params, body }) => {
+      fake.editComment(params[0], params[1], body.body, body.visibility);
+      return null;
+    }],
+    ['PUT', /^\/rest\/api\/2\/issue\/([^/]+)\/assignee$/, ({ params, body }) => {
+      fake.assign(params[0], body.name || body.accountId);
+      return null;
+    }],
+    ['POST', /^\/rest\/api\/2\/issueLink$/, ({ body }) => {
+      // JIRA's naming: the inwardIssue is the one that reads with the outward description
+      fake.link(body.inwardIssue.key, body.outwardIssue.key, body.type.name);
+      return null;
+    }],
+    ['GET', /^\/rest\/api\/2\/field$/, () => fake.fields()],
+    ['GET', /^\/rest\/agile\/1\.0\/board$/, ({ query }) => {
+      // Like JIRA, the name filter is a case-insensitive substring match
+      const name = (query.get('name') || '').toLowerCase();
+      const boards = fake.boards().filter(board => board.name.toLowerCase().includes(name));
+      return page(boards.map(board => ({ id: board.id, name: board.name, type: board.type })), query);
+    }],
+    ['GET', /^\/rest\/agile\/1\.0\/board\/(\d+)\/configuration$/, ({ params }) => {
+      const board = fake.boardById(params[0]);
+      return {
+        id: board.id,
+        name: board.name,
+        columnConfig: { columns: board.columns.map(column => ({ name: column.name, statuses: column.statuses.map(id => ({ id })) })) }
+      };
+    }],
+    ['GET', /^\/rest\/agile\/1\.0\/board\/(\d+)\/sprint$/, ({ params, query }) => {
+      const states = query.get('state') ? query.get('state').split(',') : null;
+      const sprints = fake.boardById(params[0]).sprints
+        .filter(sprint => !states || states.includes(sprint.state))
+        .map(({ issues, ...sprint }) => sprint);
+      return page(sprints, query);
+    }],
+    ['GET', /^\/rest\/agile\/1\.0\/board\/(\d+)\/sprint\/(\d+)\/issue$/, ({ params, query }) => {
+      const keys = fake.sprint(fake.boardById(params[0]), params[1]).issues;
+      const startAt = Number(query.get('startAt') || 0);
+      return { startAt, maxResults: PAGE_SIZE, total: keys.length, issues: keys.slice(startAt, startAt + PAGE_SIZE).map(key => fake.getIssue(key)) };
+    }]
+  ];
+
+  const server = createServer(async (req, res) => {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const url = new URL(req.url, 'http://localhost');
+    const body = chunks.length > 0 ? JSON.parse(Buffer.concat(chunks).toString('utf8')) : undefined;
+    requests.push({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), body });
+
+    const reply = (status, payload) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(payload === null || payload === undefined ? '' : JSON.stringify(payload));
+    };
+
+    if (req.headers.authorization !== `Bearer ${token}`) {
+      return reply(401, { errorMessages: ['You are not authenticated'] });
+    }
+    const route = routes.find(([method, pattern]) => method === req.method && pattern.test(url.pathname));
+    if (!route) {
+      return reply(404, { errorMessages: [`No route for ${req.method} ${url.pathname}`] });
+    }
+    try {
+      const params = url.pathname.match(route[1]).slice(1).map(decodeURIComponent);
+      const result = route[2]({ params, query: url.searchParams, body });
+      reply(result === null ? 204 : 200, result);
+    } catch (error) {
+      reply(error instanceof FakeJiraError ? error.status : 500, { errorMessages: [error.message] });
+    }
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+function page(values, query) {
+  const startAt = Number(query.get('startAt') || 0);
+  const slice = values.slice(startAt, startAt + PAGE_SIZE);
+  return { startAt, maxResults: PAGE_SIZE, isLast: startAt + slice.length >= values.length, values: slice };
+}
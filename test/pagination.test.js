@@ -0,0 +1,60 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer, createMultiProfileServer, recordSearches, withProfile } from './helpers.js';
+
+const ISSUES = Array.from({ length: 45 }, (_, i) => ({
+  key: `FDP-${i + 1}`,
+  fields: { summary: `Issue ${i + 1}`, status: { name: 'Open' }, created: '2024-01-01T00:00:00.000+0000' }
+}));
+
+const parse = result => JSON.parse(result.content[0].text);
+
+describe('next_cursor', () => {
+  test('continues the same query from where the last page stopped', async () => {
+    const server = createServer();
+    const searches = recordSearches(server, ISSUES);
+    
+    const first = parse(await server.getLatestIssues(undefined, 50));
+    assert.equal(first.issues.length, 20);
+    const second = parse(await server.getLatestIssues(undefined, 5, first.next_cursor));
+    assert.equal(second.issues[0].key, 'FDP-21');
+    assert.deepEqual(searches.map(s => [s.maxResults, s.startAt]), [[20, 0], [20, 20]]);
+  });
+  
+  test('rejects hand-made cursors instead of running their JQL', async () => {
+    const server = createServer();
+    const searches = recordSearches(server, ISSUES);
+    const forged = Buffer.from(JSON.stringify({
+      tool: 'get_latest_issues', project: 'FDP', jql: 'project != FDP', start_at: -5, page_size: 100000
+    })).toString('base64url');
+    
+    const result = await server.getLatestIssues(undefined, 5, forged);
+    assert.equal(result.isError, true);
+    assert.match(result.content[0].text, /Cursor is unknown or has expired/);
+    assert.equal(searches.length, 0);
+  });
+  
+  test('only continues in the tool that issued it', async () => {
+    const server = createServer();
+    recordSearches(server, ISSUES);
+    const first = parse(await server.searchIssues('crash', undefined, 10, 'text'));
+    
+    const result = await server.getLatestIssues(undefined, 5, first.next_cursor);
+    assert.equal(result.isError, true);
+    assert.match(result.content[0].text, /not issued by get_latest_issues/);
+  });
+  
+  test('cannot be carried over to another profile', async () => {
+    const server = createMultiProfileServer();
+    const searches = recordSearches(server, ISSUES);
+    const first = parse(await withProfile(server, 'upstream', () => server.getLatestIssues(undefined, 10)));
+    
+    const result = await server.getLatestIssues(undefined, 10, first.next_cursor);
+    assert.equal(result.isError, true);
+    assert.match(result.content[0].text, /issued for profile "upstream"/);
+    assert.deepEqual(searches.map(s => s.profile), ['upstream']);
+    
+    const second = parse(await withProfile(server, 'upstream', () => server.getLatestIssues(undefined, 10, first.next_cursor)));
+    assert.equal(second.issues[0].key, 'FDP-11');
+  });
+});
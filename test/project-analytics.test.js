@@ -0,0 +1,55 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from './helpers.js';
+
+const openIssue = (assignee, created = '2024-01-01T00:00:00.000+0000') => ({
+  key: 'FDP-1',
+  fields: {
+    created: created,
+    priority: { name: 'Major' },
+    status: { name: 'Open', statusCategory: { key: 'new' } },
+    assignee: assignee ? { displayName: assignee } : null
+  },
+  changelog: { histories: [] }
+});
+
+const backlog = counts => Object.entries(counts).flatMap(([assignee, count]) => Array.from({ length: count }, () => openIssue(assignee)));
+
+const parse = result => JSON.parse(result.content[0].text);
+
+describe('project analytics comparison', () => {
+  test('compares every assignee, not just each period\'s top ten', () => {
+    const server = createServer();
+    const team = Object.fromEntries(Array.from({ length: 10 }, (_, i) => [`Dev ${i + 1}`, 5]));
+    const now = new Date('2024-03-01T00:00:00Z');
+
+    // Zed is eleventh in both periods, so neither top-10 distribution shows the drop
+    const previous = server.calculateProjectMetrics([], [], backlog({ ...team, Zed: 4 }), 30, now);
+    const current = server.calculateProjectMetrics([], [], backlog({ ...team, Zed: 1 }), 30, now);
+    assert.equal(current.distribution.by_assignee.Zed, undefined);
+
+    const byAssignee = server.compareProjectMetrics(current, previous).issue_distribution.by_assignee;
+    assert.equal(Object.keys(byAssignee)[0], 'Zed');
+    assert.deepEqual([byAssignee.Zed.previous, byAssignee.Zed.current, byAssignee.Zed.direction], [4, 1, 'IMPROVING']);
+    assert.equal(Object.keys(byAssignee).length, 10);
+  });
+
+  test('notes every query that hit the issue limit', async () => {
+    const server = createServer();
+    server.profiles.forEach(profile => {
+      profile.backend = {
+        // Open-backlog queries report more matches than they return; the period queries come back complete
+        searchIssues: async jql => /created >=|resolved >=/.test(jql) && !/updated >=/.test(jql)
+          ? { issues_count: 1, issues: [openIssue('Ann')] }
+          : { issues_count: 1500, issues: [openIssue('Ann')] }
+      };
+    });
+
+    const analytics = parse(await server.getProjectAnalytics('FDP', 30, true));
+    assert.deepEqual(analytics.notes, ['Open issues hit the 1000 issue limit (1500 matching); figures based on them are incomplete']);
+    assert.match(analytics.comparison.notes.at(-1), /^Previous open backlog candidates hit the 1000 issue limit/);
+    assert.equal(analytics.comparison.notes.length, 2);
+    assert.equal(analytics.issue_distribution.assignee_totals, undefined);
+    assert.equal(analytics.assignee_totals, undefined);
+  });
+});
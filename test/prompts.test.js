@@ -0,0 +1,34 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from './helpers.js';
+import { FakeJira } from './fake-jira.js';
+import { startMockJira } from './mock-jira-server.js';
+
+const promptText = prompt => prompt.messages[0].content.text;
+
+describe('daily_standup prompt', () => {
+  let mock;
+
+  before(async () => {
+    mock = await startMockJira(FakeJira.fromFixture());
+  });
+
+  after(() => mock.close());
+
+  test('embeds the active sprint insights as JSON', async () => {
+    const server = createServer({ JIRA_BASE_URL: mock.url });
+
+    const text = promptText(await server.getPrompt('daily_standup', { board: 'Dev Board' }));
+    const json = text.slice(text.indexOf('```json\n') + 8, text.lastIndexOf('\n```'));
+    const insights = JSON.parse(json).sprint_insights;
+    assert.deepEqual(insights.map(i => [i.sprint_info.name, i.issue_analysis.total_issues]), [['Sprint 2', 3]]);
+  });
+
+  test('describes a board without sprints in prose', async () => {
+    const server = createServer({ JIRA_BASE_URL: mock.url });
+
+    const text = promptText(await server.getPrompt('daily_standup', { board: 'Dev Board Legacy' }));
+    assert.doesNotMatch(text, /```/);
+    assert.match(text, /^There is no sprint to prepare today's standup from: No sprints found for board Dev Board Legacy\./);
+  });
+});
@@ -0,0 +1,103 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from './helpers.js';
+import { FakeJira } from './fake-jira.js';
+import { startMockJira } from './mock-jira-server.js';
+
+const NOW = new Date('2024-03-25T00:00:00Z');
+
+const parse = result => JSON.parse(result.content[0].text);
+
+const sprintsFetched = requests => [...new Set(requests
+  .map(r => r.path.match(/\/sprint\/(\d+)\/issue$/)?.[1])
+  .filter(Boolean)
+  .map(Number))];
+
+/**
+ * Make Math.random pick these sample indexes in turn, for a throughput history of `sampleCount` weeks.
+ */
+function drawSamples(t, indexes, sampleCount) {
+  let next = 0;
+  t.mock.method(Math, 'random', () => indexes[next++ % indexes.length] / sampleCount);
+}
+
+describe('get_release_forecast', () => {
+  let mock;
+
+  before(async () => {
+    mock = await startMockJira(FakeJira.fromFixture());
+  });
+
+  after(() => mock.close());
+
+  test('samples the board\'s sprints that closed within the weeks looked back', async t => {
+    t.mock.timers.enable({ apis: ['Date'], now: NOW });
+    const server = createServer({ JIRA_BASE_URL: mock.url });
+    const seen = mock.requests.length;
+
+    // Three weeks back reaches 2024-03-04: App Sprint 3 closed since then, App Sprint 2 just before
+    const forecast = parse(await server.getReleaseForecast('3.0', 'APP', 'App Board', '2024-04-15', 3, 1000));
+    assert.deepEqual(sprintsFetched(mock.requests.slice(seen)), [22]);
+    assert.deepEqual(forecast.throughput.samples, [{ sprint: 'App Sprint 3', completed_issues: 2, weeks: 1.7, per_week: 1.2 }]);
+    assert.deepEqual([forecast.total_issues, forecast.remaining_issues], [4, 3]);
+
+    // A single sample makes every trial identical: 1.2 a week clears three issues in the third week
+    assert.deepEqual(forecast.forecast, {
+      p50: { weeks: 3, date: '2024-04-15' },
+      p85: { weeks: 3, date: '2024-04-15' },
+      p95: { weeks: 3, date: '2024-04-15' }
+    });
+    assert.deepEqual(forecast.target, { date: '2024-04-15', probability: 100, assessment: 'LIKELY' });
+  });
+
+  test('reads the percentiles off the simulated weeks', async t => {
+    t.mock.timers.enable({ apis: ['Date'], now: NOW });
+    const server = createServer({ JIRA_BASE_URL: mock.url });
+
+    // Weekly completions from 2024-02-26: APP-4 and APP-5, nothing, APP-6 and APP-7, nothing
+    const busy = 0;
+    const idle = 1;
+    const finishIn = weeks => [...Array(weeks - 2).fill(idle), busy, busy];
+    // Out of every 20 trials: 10 finish in two weeks, 7 in three, 2 in four and 1 in five
+    const trials = Array.from({ length: 20 }, (_, i) => finishIn(i < 10 ? 2 : i < 17 ? 3 : i < 19 ? 4 : 5));
+    drawSamples(t, trials.flat(), 4);
+
+    const forecast = parse(await server.getReleaseForecast('3.0', 'APP', undefined, '2024-04-08', 4, 1000));
+    assert.deepEqual(forecast.throughput.samples.map(s => [s.week_starting, s.completed_issues]), [
+      ['2024-02-26', 2],
+      ['2024-03-04', 0],
+      ['2024-03-11', 2],
+      ['2024-03-18', 0]
+    ]);
+    assert.equal(forecast.throughput.average_per_week, 1);
+    assert.deepEqual(forecast.forecast, {
+      p50: { weeks: 2, date: '2024-04-08' },
+      p85: { weeks: 3, date: '2024-04-15' },
+      p95: { weeks: 4, date: '2024-04-22' }
+    });
+    assert.deepEqual(forecast.target, { date: '2024-04-08', probability: 50, assessment: 'AT_RISK' });
+    assert.equal(forecast.notes.length, 2);
+  });
+
+  test('notes a throughput history that hit the issue limit', async t => {
+    t.mock.timers.enable({ apis: ['Date'], now: NOW });
+    const server = createServer();
+    const open = { key: 'FDP-1', fields: { created: '2024-03-01T00:00:00.000+0000', status: { name: 'Open', statusCategory: { key: 'new' } } } };
+    const done = {
+      key: 'FDP-2',
+      fields: { created: '2024-03-01T00:00:00.000+0000', status: { name: 'Resolved', statusCategory: { key: 'done' } } },
+      changelog: { histories: [{ created: '2024-03-20T00:00:00.000+0000', items: [{ field: 'status', fromString: 'Open', toString: 'Resolved' }] }] }
+    };
+    server.profiles.forEach(profile => {
+      profile.backend = {
+        searchIssues: async jql => /fixVersion/.test(jql)
+          ? { issues_count: 1, issues: [open] }
+          : { issues_count: 1500, issues: [done] }
+      };
+    });
+
+    const forecast = parse(await server.getReleaseForecast('2.4', 'FDP', undefined, undefined, 4, 1000));
+    assert.deepEqual(forecast.notes.slice(2), ['Throughput history hit the 1000 issue limit (1500 done issues updated since 2024-02-26); weekly counts are understated']);
+    assert.equal(forecast.throughput.notes, undefined);
+  });
+});
@@ -0,0 +1,24 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { ResponseCache } from '../server.js';
+
+describe('ResponseCache', () => {
+  test('evicts the least recently used entry when full', async () => {
+    const cache = new ResponseCache({ issue: 60 }, 2);
+    const loads = [];
+    const load = key => cache.get('issue', key, async () => {
+      loads.push(key);
+      return key;
+    });
+
+    await load('a');
+    await load('b');
+    await load('a'); // hit - "a" is now the most recently used
+    await load('c'); // evicts "b", not "a"
+    await load('a');
+    await load('b');
+
+    assert.deepEqual(loads, ['a', 'b', 'c', 'b']);
+    assert.equal(cache.snapshot().evictions, 2);
+  });
+});
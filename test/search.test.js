@@ -0,0 +1,55 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer, recordSearches } from './helpers.js';
+
+// Server whose backend records the JQL of every search instead of running it
+function recordingServer() {
+  const server = createServer();
+  return { server, searches: recordSearches(server) };
+}
+
+describe('search_issues auto mode', () => {
+  const cases = [
+    ['assignee = me', 'jql', 'assignee = currentUser()'],
+    ['reporter != me ORDER BY created', 'jql', 'reporter != currentUser() ORDER BY created'],
+    ['status not in (Done, Closed)', 'jql', 'status not in (Done, Closed)'],
+    ['cf[10016] > 3', 'jql', 'cf[10016] > 3'],
+    ['priority is EMPTY', 'jql', 'priority is EMPTY'],
+    ['summary ~ crash', 'jql', 'summary ~ crash'],
+    ['"Story Points" >= 5', 'jql', '"Story Points" >= 5'],
+    ['project = FDP ORDER BY updated', 'jql', 'project = FDP ORDER BY updated'],
+    ['summary ~ "assignee = me" AND assignee = me', 'jql', 'summary ~ "assignee = me" AND assignee = currentUser()'],
+    ['value > 5', 'text', null],
+    ['error = timeout', 'text', null],
+    ['retries in (payment flow)', 'text', null],
+    ['login crash', 'text', null],
+    ['error: timeout in auth', 'text', null]
+  ];
+  
+  for (const [query, mode, jql] of cases) {
+    test(`treats ${JSON.stringify(query)} as ${mode}`, async () => {
+      const { server, searches } = recordingServer();
+      const result = JSON.parse((await server.searchIssues(query, undefined, 10)).content[0].text);
+      assert.equal(result.mode, mode);
+      if (jql) {
+        assert.equal(result.jql_used, jql);
+      } else {
+        assert.match(result.jql_used, /^project = "FDP" AND \(summary ~ "/);
+      }
+      assert.equal(searches[0].jql, result.jql_used);
+    });
+  }
+  
+  test('uses structured mode whenever filters are given', async () => {
+    const { server } = recordingServer();
+    const result = JSON.parse((await server.searchIssues(undefined, undefined, 10, 'auto', { assignee: 'me' })).content[0].text);
+    assert.equal(result.mode, 'structured');
+    assert.equal(result.jql_used, 'project = "FDP" AND assignee = currentUser() ORDER BY created DESC');
+  });
+  
+  test('leaves "me" alone in text mode', async () => {
+    const { server } = recordingServer();
+    const result = JSON.parse((await server.searchIssues('assignee = me', undefined, 10, 'text')).content[0].text);
+    assert.equal(result.jql_used, 'project = "FDP" AND (summary ~ "assignee = me" OR description ~ "assignee = me" OR comment ~ "assignee = me")');
+  });
+});
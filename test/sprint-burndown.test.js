@@ -0,0 +1,86 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from './helpers.js';
+import { FakeJira } from './fake-jira.js';
+import { startMockJira } from './mock-jira-server.js';
+
+const NOW = new Date('2024-03-25T00:00:00Z');
+
+const parse = result => JSON.parse(result.content[0].text);
+
+describe('get_sprint_burndown', () => {
+  let mock;
+
+  before(async () => {
+    mock = await startMockJira(FakeJira.fromFixture());
+  });
+
+  after(() => mock.close());
+
+  test('burns down the committed issues while the scope line follows what was added and removed', async t => {
+    t.mock.timers.enable({ apis: ['Date'], now: NOW });
+    const server = createServer({ JIRA_BASE_URL: mock.url, JIRA_STORY_POINTS_FIELD: 'customfield_10026' });
+
+    const burndown = parse(await server.getSprintBurndown('App Board', 'App Sprint 3'));
+    assert.deepEqual(burndown.scope, { issues: 4, points: 8 });
+    assert.deepEqual(burndown.days.map(d => [d.date.slice(5), d.ideal_remaining, d.scope_issues, d.completed_issues, d.remaining_issues]), [
+      ['03-04', 4, 4, 0, 4],
+      ['03-05', 3.6, 4, 0, 4],
+      // APP-8 is taken out on the 6th and APP-7 brought in on the 7th
+      ['03-06', 3.3, 3, 0, 3],
+      ['03-07', 2.9, 4, 0, 4],
+      ['03-08', 2.5, 4, 0, 4],
+      ['03-09', 2.2, 4, 0, 4],
+      ['03-10', 1.8, 4, 0, 4],
+      ['03-11', 1.5, 4, 1, 3],
+      ['03-12', 1.1, 4, 1, 3],
+      ['03-13', 0.7, 4, 2, 2],
+      ['03-14', 0.4, 4, 2, 2],
+      ['03-15', 0, 4, 2, 2]
+    ]);
+    assert.deepEqual(burndown.status, {
+      as_of: '2024-03-15',
+      actual_remaining: 2,
+      ideal_remaining: 0,
+      variance: 2,
+      assessment: 'BEHIND',
+      summary: 'Behind plan by 2 issues'
+    });
+  });
+
+  test('burns up completed points against the points in scope', async t => {
+    t.mock.timers.enable({ apis: ['Date'], now: NOW });
+    const server = createServer({ JIRA_BASE_URL: mock.url, JIRA_STORY_POINTS_FIELD: 'customfield_10026' });
+
+    const burndown = parse(await server.getSprintBurndown('App Board', 'App Sprint 3', 'points'));
+    const lines = burndown.days.map(d => [d.date.slice(5), d.scope_points, d.completed_points]);
+    // Only the days on which either line moves
+    const moves = lines.filter(([, scope, completed], i) => i === 0 || scope !== lines[i - 1][1] || completed !== lines[i - 1][2]);
+    assert.deepEqual(moves, [
+      ['03-04', 8, 0],
+      ['03-06', 5, 0],
+      ['03-07', 6, 0],
+      ['03-11', 6, 1],
+      ['03-13', 6, 3]
+    ]);
+    assert.deepEqual([burndown.status.actual_remaining, burndown.status.assessment], [3, 'BEHIND']);
+  });
+
+  test('leaves the days still to come of an active sprint to the ideal line', async t => {
+    t.mock.timers.enable({ apis: ['Date'], now: NOW });
+    const server = createServer({ JIRA_BASE_URL: mock.url, JIRA_STORY_POINTS_FIELD: 'customfield_10026' });
+
+    const burndown = parse(await server.getSprintBurndown('App Board'));
+    assert.equal(burndown.sprint.name, 'App Sprint 4');
+    assert.equal(burndown.days.length, 12);
+    assert.deepEqual(burndown.days.filter(d => d.remaining_issues !== null).map(d => d.date.slice(5)), ['03-18', '03-19', '03-20', '03-21', '03-22', '03-23', '03-24', '03-25']);
+    assert.deepEqual(burndown.status, {
+      as_of: '2024-03-25',
+      actual_remaining: 3,
+      ideal_remaining: 1.1,
+      variance: 1.9,
+      assessment: 'BEHIND',
+      summary: 'Behind plan by 1.9 issues'
+    });
+  });
+});
@@ -0,0 +1,63 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from './helpers.js';
+import { FakeJira } from './fake-jira.js';
+import { startMockJira } from './mock-jira-server.js';
+
+const parse = result => JSON.parse(result.content[0].text);
+
+const sprintsFetched = requests => [...new Set(requests
+  .map(r => r.path.match(/\/sprint\/(\d+)\/issue$/)?.[1])
+  .filter(Boolean)
+  .map(Number))];
+
+describe('get_sprint_carryover', () => {
+  let mock;
+
+  before(async () => {
+    mock = await startMockJira(FakeJira.fromFixture());
+  });
+
+  after(() => mock.close());
+
+  test('reports unfinished issues by their run of back-to-back sprints', async () => {
+    const server = createServer({ JIRA_BASE_URL: mock.url, JIRA_STORY_POINTS_FIELD: 'customfield_10026' });
+
+    const carryover = parse(await server.getSprintCarryover('App Board'));
+    assert.deepEqual(carryover.sprints_analyzed.map(s => s.name), ['App Sprint 1', 'App Sprint 2', 'App Sprint 3', 'App Sprint 4']);
+    assert.deepEqual(carryover.carryover_issues.map(c => [c.key, c.consecutive_sprints, c.times_carried_over, c.chronic, c.in_latest_sprint]), [
+      ['APP-3', 4, 3, true, true],
+      ['APP-10', 2, 1, false, true]
+    ]);
+    assert.deepEqual(carryover.carryover_issues[1].sprints, ['App Sprint 3', 'App Sprint 4']);
+    assert.deepEqual(carryover.summary, {
+      total_carryover_issues: 2,
+      chronic_spillover_issues: 1,
+      carried_points: 3,
+      latest_sprint_carryover_percentage: 67,
+      by_assignee: { 'Alice Adams': 1, 'Unassigned': 1 }
+    });
+    assert.deepEqual(carryover.recommendations, [
+      'Split or re-plan chronic spillover (3+ sprints): APP-3',
+      '67% of App Sprint 4 is carried-over work - commit to less new work next sprint',
+      'Unassigned issues keep rolling over - assign an owner or move them back to the backlog'
+    ]);
+  });
+
+  test('only counts streaks within the analyzed sprints, and fetches issues for those alone', async () => {
+    const server = createServer({ JIRA_BASE_URL: mock.url, JIRA_STORY_POINTS_FIELD: 'customfield_10026' });
+    const seen = mock.requests.length;
+
+    const carryover = parse(await server.getSprintCarryover('App Board', 2));
+    assert.deepEqual(carryover.carryover_issues.map(c => [c.key, c.consecutive_sprints, c.chronic]), [['APP-10', 2, false], ['APP-3', 2, false]]);
+    assert.deepEqual(sprintsFetched(mock.requests.slice(seen)), [22, 23]);
+  });
+
+  test('ignores issues finished in their last sprint', async () => {
+    const server = createServer({ JIRA_BASE_URL: mock.url, JIRA_STORY_POINTS_FIELD: 'customfield_10026' });
+
+    // With a one-sprint minimum every sprint issue qualifies; only the finished ones stay off the list
+    const carryover = parse(await server.getSprintCarryover('App Board', 6, 1));
+    assert.deepEqual(carryover.carryover_issues.map(c => c.key), ['APP-3', 'APP-10', 'APP-9']);
+  });
+});
@@ -0,0 +1,58 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from './helpers.js';
+
+const SPRINT = { id: 11, name: 'Sprint 2', start_date_str: '2024-03-04', end_date_str: '2024-03-15', columns: { 'To Do': [{ key: 'FDP-1' }] } };
+
+const issue = (number, histories = []) => ({
+  key: `FDP-${number}`,
+  fields: { summary: `Issue ${number}`, created: '2024-02-01T00:00:00.000+0000', status: { name: 'Open' } },
+  changelog: { histories }
+});
+
+// Taken out of the sprint on day two
+const REMOVAL = [{ created: '2024-03-05T10:00:00.000+0000', author: { displayName: 'Bob' }, items: [{ field: 'Sprint', from: '11', fromString: 'Sprint 2', to: '', toString: '' }] }];
+
+/**
+ * Serve the sprint's own issue by key and `updatedCount` recently updated issues to the removal scan,
+ * with the removed issue at position `removedAt`.
+ */
+function stubBackend(server, updatedCount, removedAt) {
+  const updated = Array.from({ length: updatedCount }, (_, i) => issue(i + 100, i === removedAt ? REMOVAL : []));
+  const searches = [];
+  server.profiles.forEach(profile => {
+    profile.backend = {
+      searchIssues: async (jql, { maxResults, startAt = 0 }) => {
+        searches.push({ jql, maxResults, startAt });
+        if (jql.startsWith('key in')) {
+          return { issues_count: 1, issues: [issue(1)] };
+        }
+        return { issues_count: updated.length, issues: updated.slice(startAt, startAt + maxResults) };
+      }
+    };
+  });
+  return searches;
+}
+
+describe('loadSprintMembers', () => {
+  test('pages through every recently updated issue to find removals', async () => {
+    const server = createServer();
+    const searches = stubBackend(server, 1300, 1200);
+
+    const { members, notes } = await server.loadSprintMembers(SPRINT);
+    assert.deepEqual(members.map(m => [m.issue.key, m.currentlyIn]), [['FDP-1', true], ['FDP-1300', false]]);
+    assert.deepEqual(notes, []);
+    assert.deepEqual(searches.filter(s => s.jql.startsWith('project')).map(s => s.startAt), [0, 500, 1000]);
+  });
+
+  test('says so when the scan stops at its limit', async () => {
+    const server = createServer();
+    const searches = stubBackend(server, 2600, 2100);
+
+    const { members, notes } = await server.loadSprintMembers(SPRINT);
+    assert.deepEqual(members.map(m => m.issue.key), ['FDP-1']);
+    assert.equal(notes.length, 1);
+    assert.match(notes[0], /Only the 2000 most recently updated issues were checked/);
+    assert.deepEqual(searches.filter(s => s.jql.startsWith('project')).map(s => s.startAt), [0, 500, 1000, 1500]);
+  });
+});
@@ -0,0 +1,57 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from './helpers.js';
+import { FakeJira } from './fake-jira.js';
+import { startMockJira } from './mock-jira-server.js';
+
+const parse = result => JSON.parse(result.content[0].text);
+
+// Sprints whose issues were requested, in order
+const sprintsFetched = requests => [...new Set(requests
+  .map(r => r.path.match(/\/sprint\/(\d+)\/issue$/)?.[1])
+  .filter(Boolean)
+  .map(Number))];
+
+describe('get_sprint_velocity', () => {
+  let mock;
+
+  before(async () => {
+    mock = await startMockJira(FakeJira.fromFixture());
+  });
+
+  after(() => mock.close());
+
+  test('commits what was in the sprint at its start and completes what was done at its close', async () => {
+    const server = createServer({ JIRA_BASE_URL: mock.url, JIRA_STORY_POINTS_FIELD: 'customfield_10026' });
+
+    const velocity = parse(await server.getSprintVelocity('App Board'));
+    assert.equal(velocity.unit, 'points');
+    assert.deepEqual(velocity.sprints.map(s => [s.sprint, s.committed_issues, s.committed_points, s.completed_issues, s.completed_points]), [
+      ['App Sprint 1', 3, 10, 2, 8],
+      ['App Sprint 2', 3, 10, 2, 8],
+      // APP-8 was planned and then removed, APP-7 was added on day four
+      ['App Sprint 3', 4, 8, 2, 3]
+    ]);
+    assert.deepEqual(velocity.sprints.map(s => [s.added_issues, s.removed_issues, s.completion_rate]), [[0, 0, 67], [0, 0, 67], [1, 1, 50]]);
+    assert.deepEqual(velocity.sprints.map(s => s.rolling_average), [8, 8, 6.3]);
+    assert.deepEqual(velocity.summary, {
+      average_completed: 6.3,
+      standard_deviation: 2.4,
+      average_committed: 9.3,
+      trend: 'DECREASING',
+      trend_per_sprint: -2.5,
+      planning_range: { low: 4, high: 8.7 },
+      recommendation: 'Plan around 6.3 points per sprint (typical range 4-8.7)'
+    });
+    assert.deepEqual(velocity.notes, []);
+  });
+
+  test('fetches issues only for the sprints it analyzes', async () => {
+    const server = createServer({ JIRA_BASE_URL: mock.url, JIRA_STORY_POINTS_FIELD: 'customfield_10026' });
+    const seen = mock.requests.length;
+
+    const velocity = parse(await server.getSprintVelocity('App Board', 2));
+    assert.deepEqual(velocity.sprints.map(s => s.sprint), ['App Sprint 2', 'App Sprint 3']);
+    assert.deepEqual(sprintsFetched(mock.requests.slice(seen)), [21, 22]);
+  });
+});
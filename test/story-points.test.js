@@ -0,0 +1,58 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from './helpers.js';
+import { FakeJira } from './fake-jira.js';
+import { startMockJira } from './mock-jira-server.js';
+
+const ISSUE = { key: 'FDP-1', fields: { customfield_10016: 8, customfield_10026: 5 } };
+
+const fieldLookups = mock => mock.requests.filter(r => r.path === '/rest/api/2/field').length;
+
+describe('story points field', () => {
+  let mock;
+  let bare;
+
+  before(async () => {
+    mock = await startMockJira(FakeJira.fromFixture());
+    const fake = FakeJira.fromFixture();
+    fake.state.fields = fake.state.fields.filter(field => !field.custom);
+    bare = await startMockJira(fake);
+  });
+
+  after(async () => {
+    await mock.close();
+    await bare.close();
+  });
+
+  test('is detected once per profile from the field metadata', async () => {
+    const server = createServer({ JIRA_BASE_URL: mock.url });
+    const lookups = fieldLookups(mock);
+
+    await Promise.all([server.detectStoryPointsField(), server.detectStoryPointsField()]);
+    await server.detectStoryPointsField();
+    assert.equal(server.storyPointsField, 'customfield_10026');
+    assert.equal(server.storyPoints(ISSUE), 5);
+    assert.equal(fieldLookups(mock) - lookups, 1);
+  });
+
+  test('uses the configured field without a lookup', async () => {
+    const server = createServer({ JIRA_BASE_URL: mock.url, JIRA_STORY_POINTS_FIELD: 'customfield_10016' });
+    const lookups = fieldLookups(mock);
+
+    await server.detectStoryPointsField();
+    assert.equal(server.storyPoints(ISSUE), 8);
+    assert.equal(fieldLookups(mock) - lookups, 0);
+  });
+
+  test('is not guessed when no field carries a story points name', async () => {
+    const server = createServer({ JIRA_BASE_URL: bare.url });
+
+    await server.detectStoryPointsField();
+    assert.equal(server.storyPointsField, null);
+    assert.equal(server.storyPoints(ISSUE), 0);
+
+    const result = await server.getSprintBurndown('Dev Board', undefined, 'points');
+    assert.equal(result.isError, true);
+    assert.match(result.content[0].text, /set story_points_field/);
+  });
+});
@@ -0,0 +1,59 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from './helpers.js';
+import { FakeJira } from './fake-jira.js';
+import { startMockJira } from './mock-jira-server.js';
+
+const NOW = new Date('2024-03-25T00:00:00Z');
+
+const parse = result => JSON.parse(result.content[0].text);
+
+describe('get_time_in_status', () => {
+  let mock;
+
+  before(async () => {
+    mock = await startMockJira(FakeJira.fromFixture());
+  });
+
+  after(() => mock.close());
+
+  test('splits each issue\'s time into active and waiting statuses', async t => {
+    t.mock.timers.enable({ apis: ['Date'], now: NOW });
+    const server = createServer({ JIRA_BASE_URL: mock.url });
+
+    const report = parse(await server.getTimeInStatus(undefined, 'key in (APP-6, APP-9)'));
+    const [finished, open] = report.issues;
+
+    // Waiting for QA is an in-progress status, but its name marks it as waiting
+    assert.deepEqual(finished.statuses.map(s => [s.status, s.kind, s.days]), [
+      ['Waiting for QA', 'waiting', 5],
+      ['Open', 'waiting', 4],
+      ['In Progress', 'active', 3]
+    ]);
+    assert.deepEqual([finished.total_days, finished.active_days, finished.waiting_days, finished.flow_efficiency], [12, 3, 9, 25]);
+
+    // Still waiting for QA, so its clock runs to now
+    assert.deepEqual([open.key, open.total_days, open.active_days, open.waiting_days, open.flow_efficiency], ['APP-9', 10.6, 2, 8.6, 19]);
+  });
+
+  test('rolls the issues up into the statuses the scope waits in', async t => {
+    t.mock.timers.enable({ apis: ['Date'], now: NOW });
+    const server = createServer({ JIRA_BASE_URL: mock.url });
+
+    const report = parse(await server.getTimeInStatus(undefined, 'key in (APP-6, APP-9)'));
+    assert.deepEqual([report.flow_efficiency, report.total_days, report.active_days, report.waiting_days], [22, 22.6, 5, 17.6]);
+    assert.deepEqual(report.by_status.map(s => [s.status, s.total_days, s.average_days, s.issue_count]), [
+      ['Waiting for QA', 9.6, 4.8, 2],
+      ['Open', 8, 4, 2],
+      ['In Progress', 5, 2.5, 2]
+    ]);
+    assert.deepEqual(report.slowest_waiting_states.map(s => [s.status, s.share_of_waiting]), [['Waiting for QA', 55], ['Open', 45]]);
+  });
+
+  test('counts only the listed statuses as active when given', async () => {
+    const server = createServer({ JIRA_BASE_URL: mock.url });
+
+    const report = parse(await server.getTimeInStatus('APP-6', undefined, 50, ['In Progress', 'Waiting for QA']));
+    assert.deepEqual([report.active_days, report.waiting_days, report.flow_efficiency], [8, 4, 67]);
+  });
+});